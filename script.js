@@ -17,6 +17,8 @@ class EmailAutomationApp {
         this.checkSystemStatus();
         this.loadStats();
         this.loadEmailPreview();
+        this.loadAddressReport();
+        this.loadOutbox();
         this.startLogPolling();
         
         // Load initial data
@@ -26,12 +28,16 @@ class EmailAutomationApp {
     bindEvents() {
         // Control buttons
         document.getElementById('send-now').addEventListener('click', () => this.sendEmailsNow());
-        document.getElementById('refresh-data').addEventListener('click', () => this.refreshData());
+        document.getElementById('refresh-data').addEventListener('click', () => this.refreshData(true));
         document.getElementById('auth-gmail').addEventListener('click', () => this.authenticateGmail());
         
         // Log controls
         document.getElementById('clear-logs').addEventListener('click', () => this.clearLogs());
         document.getElementById('export-logs').addEventListener('click', () => this.exportLogs());
+
+        // Outbox controls
+        document.getElementById('refresh-outbox').addEventListener('click', () => this.loadOutbox());
+        document.getElementById('clear-outbox').addEventListener('click', () => this.clearOutbox());
     }
 
     async apiCall(endpoint, method = 'GET', data = null) {
@@ -71,8 +77,11 @@ class EmailAutomationApp {
             // Update Google Sheets status
             this.updateStatusIndicator('sheets-status', status.sheets.connected, status.sheets.connected ? 'Kết nối thành công' : 'Lỗi kết nối');
             
-            // Update Gmail status
-            this.updateStatusIndicator('gmail-status', status.gmail.authenticated, status.gmail.authenticated ? 'Đã xác thực' : 'Chưa xác thực');
+            // Update Gmail status (with the number of usable sender accounts when there are several)
+            const senders = status.gmail.senders || [];
+            const usable = senders.filter(sender => sender.status === 'ok').length;
+            const gmailText = status.gmail.authenticated ? 'Đã xác thực' : 'Chưa xác thực';
+            this.updateStatusIndicator('gmail-status', status.gmail.authenticated, senders.length > 1 ? `${gmailText} (${usable}/${senders.length} tài khoản sẵn sàng)` : gmailText);
             
             // Show/hide Gmail auth button
             const authButton = document.getElementById('auth-gmail');
@@ -123,6 +132,12 @@ class EmailAutomationApp {
             ? Math.round((this.stats.sent / this.stats.total) * 100) 
             : 0;
         document.getElementById('success-rate').textContent = `${successRate}%`;
+
+        const opens = this.stats.opens || {};
+        document.getElementById('open-rate').textContent = `${opens.openRate || 0}%`;
+
+        const replies = this.stats.replies || {};
+        document.getElementById('reply-rate').textContent = `${replies.replyRate || 0}%`;
     }
 
     async loadEmailPreview() {
@@ -130,12 +145,166 @@ class EmailAutomationApp {
             const preview = await this.apiCall('/email-preview');
             document.getElementById('preview-subject').textContent = preview.subject || 'Không có tiêu đề';
             document.getElementById('preview-content').textContent = preview.content || 'Không có nội dung';
+
+            const columns = preview.columns;
+            document.getElementById('preview-columns').textContent = columns
+                ? `Tiêu đề: cột ${columns.subject}, nội dung: cột ${columns.content}${columns.html ? `, HTML: cột ${columns.html}` : ''}${columns.attachments ? `, đính kèm: cột ${columns.attachments}` : ''}`
+                : '—';
+
+            // Files attached for the sample recipient, and why any can't be
+            const attachments = (preview.attachments || []).map(file =>
+                `${file.filename} (${this.formatSize(file.size)}${file.cid ? ', ảnh inline' : ''})`);
+            const errors = (preview.attachmentIssues || []).filter(issue => issue.severity === 'error');
+            const element = document.getElementById('preview-attachments');
+            element.textContent = [...attachments, ...errors.map(issue => `⚠️ ${issue.message}`)].join(', ') || '—';
+            element.classList.toggle('attachment-error', errors.length > 0);
         } catch (error) {
             document.getElementById('preview-subject').textContent = 'Lỗi tải preview';
             document.getElementById('preview-content').textContent = 'Không thể tải nội dung email';
         }
     }
 
+    async loadAddressReport() {
+        try {
+            const report = await this.apiCall('/addresses');
+            document.getElementById('address-valid').textContent = report.summary.valid;
+            document.getElementById('address-risky').textContent = report.summary.risky;
+            document.getElementById('address-invalid').textContent = report.summary.invalid;
+            document.getElementById('address-mode').textContent = {
+                'skip-invalid': 'bỏ qua địa chỉ không hợp lệ',
+                'skip-risky': 'bỏ qua địa chỉ rủi ro và không hợp lệ',
+                'warn': 'chỉ cảnh báo'
+            }[report.mode] || report.mode;
+
+            const list = document.getElementById('address-issues');
+            list.innerHTML = '';
+            report.recipients.forEach(recipient => {
+                recipient.addresses.forEach(address => {
+                    const item = document.createElement('li');
+                    item.className = address.verdict;
+                    item.textContent = `Dòng ${recipient.rowIndex} – ${address.email}: ${address.reasons.map(reason => reason.message).join('; ')}`;
+                    list.appendChild(item);
+                });
+            });
+        } catch (error) {
+            document.getElementById('address-mode').textContent = 'Không thể kiểm tra địa chỉ';
+        }
+    }
+
+    // Emails captured by the outbox (file/memory transport); the section
+    // stays hidden when emails are really sent
+    async loadOutbox() {
+        try {
+            const outbox = await this.apiCall('/outbox');
+            document.getElementById('outbox-section').style.display = outbox.enabled ? 'block' : 'none';
+            if (!outbox.enabled) {
+                return;
+            }
+
+            const list = document.getElementById('outbox-list');
+            list.innerHTML = '';
+            if (outbox.messages.length === 0) {
+                const item = document.createElement('li');
+                item.textContent = 'Chưa có email nào';
+                list.appendChild(item);
+            }
+
+            outbox.messages.forEach(message => {
+                const item = document.createElement('li');
+                item.dataset.id = message.id;
+                item.textContent = message.subject || '(không có tiêu đề)';
+
+                const details = document.createElement('small');
+                const meta = message.metadata || {};
+                details.textContent = `${message.to || message.bcc} – ${new Date(message.date).toLocaleString('vi-VN')}${meta.step > 1 ? ` – bước ${meta.step}` : ''}${meta.variant ? ` – mẫu ${meta.variant}` : ''}`;
+                item.appendChild(details);
+
+                item.addEventListener('click', () => this.showOutboxMessage(message.id));
+                list.appendChild(item);
+            });
+        } catch (error) {
+            document.getElementById('outbox-section').style.display = 'none';
+        }
+    }
+
+    async showOutboxMessage(id, tab = 'html') {
+        try {
+            const message = await this.apiCall(`/outbox/${encodeURIComponent(id)}`);
+            document.querySelectorAll('#outbox-list li').forEach(item => {
+                item.classList.toggle('active', item.dataset.id === id);
+            });
+
+            const container = document.getElementById('outbox-message');
+            container.innerHTML = '';
+
+            const meta = message.metadata || {};
+            [
+                ['Từ', message.from],
+                ['Đến', message.to],
+                ['Bcc', message.bcc],
+                ['Reply-To', message.replyTo],
+                ['Tiêu đề', message.subject],
+                ['Đính kèm', (message.attachments || []).map(file => file.cid ? `${file.filename} (inline)` : file.filename).join(', ')],
+                ['Thời gian', new Date(message.date).toLocaleString('vi-VN')],
+                ['Chiến dịch', [meta.campaign, meta.step > 1 ? `bước ${meta.step}` : null, meta.variant ? `mẫu ${meta.variant}` : null].filter(Boolean).join(', ')]
+            ].filter(([, value]) => value).forEach(([label, value]) => {
+                const row = document.createElement('div');
+                row.className = 'preview-header';
+                const strong = document.createElement('strong');
+                strong.textContent = `${label}: `;
+                row.appendChild(strong);
+                row.appendChild(document.createTextNode(value));
+                container.appendChild(row);
+            });
+
+            const tabs = document.createElement('div');
+            tabs.className = 'outbox-tabs';
+            [['html', 'HTML'], ['text', 'Văn bản'], ['headers', 'Headers']].forEach(([key, label]) => {
+                const button = document.createElement('button');
+                button.className = `btn btn-small btn-outline${key === tab ? ' active' : ''}`;
+                button.textContent = label;
+                button.addEventListener('click', () => this.showOutboxMessage(id, key));
+                tabs.appendChild(button);
+            });
+
+            const download = document.createElement('a');
+            download.className = 'btn btn-small btn-outline';
+            download.href = `/api/outbox/${encodeURIComponent(id)}/eml`;
+            download.textContent = 'Tải .eml';
+            tabs.appendChild(download);
+            container.appendChild(tabs);
+
+            if (tab === 'html') {
+                // Rendered in a sandbox: no scripts, no access to the dashboard
+                const frame = document.createElement('iframe');
+                frame.setAttribute('sandbox', '');
+                frame.src = `/api/outbox/${encodeURIComponent(id)}/html`;
+                container.appendChild(frame);
+            } else {
+                const pre = document.createElement('pre');
+                pre.textContent = tab === 'text'
+                    ? message.text || '(không có phần văn bản)'
+                    : message.headers.map(header => `${header.name}: ${header.value}`).join('\n');
+                container.appendChild(pre);
+            }
+        } catch (error) {
+            this.addLog('error', `Không thể mở email trong outbox: ${error.message}`);
+        }
+    }
+
+    async clearOutbox() {
+        if (confirm('Bạn có chắc muốn xóa tất cả email trong outbox?')) {
+            try {
+                const result = await this.apiCall('/outbox', 'DELETE');
+                document.getElementById('outbox-message').innerHTML = '<p class="outbox-empty">Chọn một email để xem</p>';
+                await this.loadOutbox();
+                this.addLog('info', `Đã xóa ${result.removed} email khỏi outbox`);
+            } catch (error) {
+                this.addLog('error', `Không thể xóa outbox: ${error.message}`);
+            }
+        }
+    }
+
     async getSchedulerInfo() {
         try {
             const info = await this.apiCall('/scheduler/info');
@@ -157,6 +326,7 @@ class EmailAutomationApp {
             
             this.addLog('success', `Đã gửi thành công ${result.sent} email, ${result.failed} thất bại`);
             await this.loadStats();
+            await this.loadOutbox();
             
         } catch (error) {
             this.addLog('error', `Lỗi gửi email: ${error.message}`);
@@ -167,16 +337,23 @@ class EmailAutomationApp {
         }
     }
 
-    async refreshData() {
+    // `reload` also drops the server's cached sheet reads
+    async refreshData(reload = false) {
         try {
             const button = document.getElementById('refresh-data');
             button.disabled = true;
             button.innerHTML = '<span class="loading"></span> Đang làm mới...';
+
+            if (reload) {
+                await this.apiCall('/cache', 'DELETE');
+            }
             
             await Promise.all([
                 this.checkSystemStatus(),
                 this.loadStats(),
-                this.loadEmailPreview()
+                this.loadEmailPreview(),
+                this.loadAddressReport(),
+                this.loadOutbox()
             ]);
             
             this.addLog('info', 'Dữ liệu đã được làm mới');
@@ -221,6 +398,10 @@ class EmailAutomationApp {
         }
     }
 
+    formatSize(bytes) {
+        return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+    }
+
     openCloudConsole() {
         const url = 'https://console.cloud.google.com/cloudscheduler';
         window.open(url, '_blank');
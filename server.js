@@ -7,10 +7,40 @@ const dotenv = require('dotenv');
 dotenv.config();
 
 // Import custom modules
-const GoogleSheetsService = require('./services/googleSheetsService');
+const { createRecipientSource } = require('./services/sources');
 const GmailService = require('./services/gmailService');
 const EmailService = require('./services/emailService');
 const Logger = require('./utils/logger');
+const UrlSigner = require('./utils/urlSigner');
+
+// The only files served from the project directory, which also holds .env,
+// config/, data/ (queue, ledger, tracking secret...) and logs/
+const DASHBOARD_FILES = ['index.html', 'script.js', 'styles.css'];
+
+// 1x1 transparent GIF for open tracking
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+function escapeHtml(value) {
+    return String(value || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Recipient-facing page for the /unsubscribe routes
+function unsubscribePage(title, message, action = '') {
+    return `
+        <html>
+            <head><meta charset="utf-8"><title>${title}</title></head>
+            <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+                <h2>${title}</h2>
+                <p>${message}</p>
+                ${action}
+            </body>
+        </html>
+    `;
+}
 
 class EmailAutomationServer {
     constructor() {
@@ -32,9 +62,10 @@ class EmailAutomationServer {
         this.logger.info(`Server will bind to: ${this.host}:${this.port}`);
         
         // Initialize services
-        this.sheetsService = new GoogleSheetsService();
+        // Google Sheets, or a local CSV/TSV/XLSX/JSON file (RECIPIENT_SOURCE)
+        this.recipientSource = createRecipientSource();
         this.gmailService = new GmailService();
-        this.emailService = new EmailService(this.sheetsService, this.gmailService, this.logger);
+        this.emailService = new EmailService(this.recipientSource, this.gmailService, this.logger);
         
         // Application state
         this.stats = {
@@ -57,8 +88,12 @@ class EmailAutomationServer {
         this.app.use(express.json({ limit: '10mb' }));
         this.app.use(express.urlencoded({ extended: true }));
         
-        // Serve static files
-        this.app.use(express.static(path.join(__dirname)));
+        // Serve the dashboard
+        DASHBOARD_FILES.forEach(file => {
+            this.app.get(`/${file}`, (req, res) => {
+                res.sendFile(path.join(__dirname, file));
+            });
+        });
         
         // Request logging
         this.app.use((req, res, next) => {
@@ -126,6 +161,69 @@ class EmailAutomationServer {
             }
         });
 
+        // Click tracking redirect. Only signed tokens are followed, so this
+        // can't be used to redirect to arbitrary sites.
+        this.app.get('/r/:token', async (req, res) => {
+            const payload = this.gmailService.getUrlSigner().verify(req.params.token);
+            if (!payload || !payload.u || !/^https?:\/\//i.test(payload.u)) {
+                res.status(400).send('Invalid link');
+                return;
+            }
+
+            res.redirect(302, payload.u);
+
+            await this.emailService.recordClick(payload.m, payload.u, {
+                userAgent: req.get('User-Agent'),
+                ip: req.ip
+            });
+        });
+
+        // Unsubscribe. GET only asks for confirmation (link scanners follow
+        // GETs); the opt-out happens on POST, which is also what mail clients
+        // send for RFC 8058 one-click unsubscribe.
+        this.app.get('/unsubscribe', (req, res) => {
+            const payload = this.gmailService.getUrlSigner().verify(req.query.token);
+            if (!payload || !Array.isArray(payload.e) || payload.e.length === 0) {
+                res.status(400).send(unsubscribePage('Liên kết không hợp lệ', 'Liên kết hủy đăng ký không hợp lệ hoặc đã bị thay đổi.'));
+                return;
+            }
+
+            const action = `
+                <form method="POST" action="/unsubscribe?token=${encodeURIComponent(req.query.token)}">
+                    <button type="submit" style="background: #4285f4; color: white; padding: 10px 20px; border: 0; border-radius: 5px; cursor: pointer;">Hủy đăng ký</button>
+                </form>
+            `;
+            res.send(unsubscribePage(
+                'Hủy đăng ký nhận email',
+                `Bạn sẽ không nhận thêm email nào tới <strong>${escapeHtml(payload.e.join(', '))}</strong>.`,
+                action
+            ));
+        });
+
+        this.app.post('/unsubscribe', async (req, res) => {
+            const payload = this.gmailService.getUrlSigner().verify(req.query.token);
+            if (!payload || !Array.isArray(payload.e) || payload.e.length === 0) {
+                res.status(400).send(unsubscribePage('Liên kết không hợp lệ', 'Liên kết hủy đăng ký không hợp lệ hoặc đã bị thay đổi.'));
+                return;
+            }
+
+            try {
+                await this.emailService.unsubscribe(payload.e, {
+                    rowIndex: payload.r,
+                    name: payload.n,
+                    source: req.body && req.body['List-Unsubscribe'] === 'One-Click' ? 'one-click' : 'link'
+                });
+
+                res.send(unsubscribePage(
+                    'Đã hủy đăng ký',
+                    `<strong>${escapeHtml(payload.e.join(', '))}</strong> sẽ không nhận thêm email nào từ chúng tôi.`
+                ));
+            } catch (error) {
+                this.logger.error('Failed to process unsubscribe:', error);
+                res.status(500).send(unsubscribePage('Có lỗi xảy ra', 'Không thể hủy đăng ký lúc này, vui lòng thử lại sau.'));
+            }
+        });
+
         // API Routes
         const apiRouter = express.Router();
 
@@ -149,11 +247,16 @@ class EmailAutomationServer {
                         note: 'Using Google Cloud Scheduler for automated email sending'
                     },
                     sheets: {
-                        connected: await this.sheetsService.testConnection()
+                        source: this.recipientSource.name,
+                        connected: await this.recipientSource.testConnection(),
+                        writable: this.recipientSource.canWrite
                     },
                     gmail: {
-                        authenticated: await this.gmailService.isAuthenticated()
+                        authenticated: await this.gmailService.isAuthenticated(),
+                        transport: this.gmailService.getTransportName(),
+                        senders: await this.gmailService.getSenderHealth()
                     },
+                    queue: await this.emailService.getQueueStatus(),
                     lastRun: this.stats.lastRun,
                     uptime: process.uptime()
                 };
@@ -166,15 +269,22 @@ class EmailAutomationServer {
         });
 
         // Get statistics
-        apiRouter.get('/stats', (req, res) => {
+        apiRouter.get('/stats', async (req, res) => {
             try {
                 const successRate = this.stats.total > 0 
                     ? Math.round((this.stats.sent / this.stats.total) * 100) 
                     : 0;
+                const tracking = await this.emailService.getTrackingStats();
+                const replies = await this.emailService.getReplyStats();
                     
                 res.json({
                     ...this.stats,
-                    successRate
+                    successRate,
+                    ...tracking,
+                    replies: {
+                        replied: replies.replied,
+                        replyRate: replies.replyRate
+                    }
                 });
             } catch (error) {
                 this.logger.error('Error getting stats:', error);
@@ -182,6 +292,17 @@ class EmailAutomationServer {
             }
         });
 
+        // Per-link click counts by campaign and template variant
+        apiRouter.get('/stats/clicks', async (req, res) => {
+            try {
+                const clicks = await this.emailService.getClickStats();
+                res.json(clicks);
+            } catch (error) {
+                this.logger.error('Error getting click stats:', error);
+                res.status(500).json({ error: 'Failed to get click statistics' });
+            }
+        });
+
         // Email preview
         apiRouter.get('/email-preview', async (req, res) => {
             try {
@@ -193,6 +314,241 @@ class EmailAutomationServer {
             }
         });
 
+        // Configuration and template validation
+        apiRouter.get('/validate', async (req, res) => {
+            try {
+                const validation = await this.emailService.validateConfiguration();
+                res.json(validation);
+            } catch (error) {
+                this.logger.error('Error validating configuration:', error);
+                res.status(500).json({ error: 'Failed to validate configuration' });
+            }
+        });
+
+        // Open tracking pixel - always answers with the GIF, even for unknown ids
+        apiRouter.get('/track/:trackingId', async (req, res) => {
+            const trackingId = req.params.trackingId.replace(/\.gif$/i, '');
+
+            res.set({
+                'Content-Type': 'image/gif',
+                'Content-Length': TRACKING_PIXEL.length,
+                'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+                'Pragma': 'no-cache',
+                'Expires': '0'
+            });
+            res.end(TRACKING_PIXEL);
+
+            await this.emailService.recordOpen(trackingId, {
+                userAgent: req.get('User-Agent'),
+                ip: req.ip
+            });
+        });
+
+        // Bounces found so far, per address
+        apiRouter.get('/bounces', async (req, res) => {
+            try {
+                const bounces = await this.emailService.getBounceStats();
+                res.json(bounces);
+            } catch (error) {
+                this.logger.error('Error getting bounce stats:', error);
+                res.status(500).json({ error: 'Failed to get bounce statistics' });
+            }
+        });
+
+        // Scan the mailbox for delivery-failure notices now
+        apiRouter.post('/bounces/process', async (req, res) => {
+            try {
+                const result = await this.emailService.processBounces();
+                res.json({ success: true, ...result });
+            } catch (error) {
+                this.logger.error('Error processing bounces:', error);
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // People who replied to our emails
+        apiRouter.get('/replies', async (req, res) => {
+            try {
+                const replies = await this.emailService.getReplyStats();
+                res.json(replies);
+            } catch (error) {
+                this.logger.error('Error getting replies:', error);
+                res.status(500).json({ error: 'Failed to get replies' });
+            }
+        });
+
+        // Scan the inbox for replies now
+        apiRouter.post('/replies/process', async (req, res) => {
+            try {
+                const result = await this.emailService.processReplies();
+                res.json({ success: true, ...result });
+            } catch (error) {
+                this.logger.error('Error processing replies:', error);
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // A/B results per Sheet2 variant
+        apiRouter.get('/variants', async (req, res) => {
+            try {
+                const report = await this.emailService.getVariantReport();
+                res.json(report);
+            } catch (error) {
+                this.logger.error('Error getting variant report:', error);
+                res.status(500).json({ error: 'Failed to get variant report' });
+            }
+        });
+
+        // Undo an automatic promotion so the step's variants are split again
+        apiRouter.delete('/variants/promoted/:step', async (req, res) => {
+            try {
+                await this.emailService.abTest.clearPromotion(req.params.step);
+                res.json({ success: true, ...await this.emailService.getVariantReport() });
+            } catch (error) {
+                this.logger.error('Error clearing variant promotion:', error);
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Sheet1 column mapping (standard fields, extra emails, custom merge fields)
+        apiRouter.get('/columns', async (req, res) => {
+            try {
+                const columns = await this.emailService.getRecipientColumns();
+                res.json(columns);
+            } catch (error) {
+                this.logger.error('Error getting column mapping:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Drop cached recipient/template reads (after editing the sheet)
+        apiRouter.delete('/cache', (req, res) => {
+            try {
+                this.recipientSource.invalidateCache();
+                res.json({ success: true, message: 'Recipient cache cleared' });
+            } catch (error) {
+                this.logger.error('Error clearing recipient cache:', error);
+                res.status(500).json({ error: 'Failed to clear recipient cache' });
+            }
+        });
+
+        // Address quality report (valid/risky/invalid per recipient)
+        apiRouter.get('/addresses', async (req, res) => {
+            try {
+                const report = await this.emailService.getAddressReport();
+                res.json(report);
+            } catch (error) {
+                this.logger.error('Error checking recipient addresses:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Follow-up sequence progress
+        apiRouter.get('/sequence', async (req, res) => {
+            try {
+                const sequence = await this.emailService.getSequenceStatus();
+                res.json(sequence);
+            } catch (error) {
+                this.logger.error('Error getting sequence status:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Send queue status
+        apiRouter.get('/queue', async (req, res) => {
+            try {
+                const queue = await this.emailService.getQueueStatus();
+                res.json(queue);
+            } catch (error) {
+                this.logger.error('Error getting queue status:', error);
+                res.status(500).json({ error: 'Failed to get queue status' });
+            }
+        });
+
+        // Enqueue unprocessed recipients from the sheet without sending
+        apiRouter.post('/queue/refill', async (req, res) => {
+            try {
+                const result = await this.emailService.addToQueue();
+                res.json({ success: true, ...result });
+            } catch (error) {
+                this.logger.error('Error refilling queue:', error);
+                res.status(500).json({ success: false, error: 'Failed to refill queue', message: error.message });
+            }
+        });
+
+        // Outbox of the file/memory transports (MAIL_TRANSPORT=outbox): emails
+        // captured instead of sent
+        apiRouter.get('/outbox', async (req, res) => {
+            try {
+                const outbox = await this.gmailService.getOutbox();
+                res.json({
+                    enabled: !!outbox,
+                    transport: this.gmailService.getTransportName(),
+                    messages: outbox ? await outbox.list(parseInt(req.query.limit) || 200) : []
+                });
+            } catch (error) {
+                this.logger.error('Error listing outbox:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        apiRouter.get('/outbox/:id', async (req, res) => {
+            try {
+                const outbox = await this.gmailService.getOutbox();
+                const message = outbox ? await outbox.get(req.params.id) : null;
+                if (!message) {
+                    return res.status(404).json({ error: 'Message not found' });
+                }
+                res.json(message);
+            } catch (error) {
+                this.logger.error('Error reading outbox message:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // The HTML body on its own, for the dashboard's preview frame. Scripts
+        // are blocked; images and styles load as in a mail client.
+        apiRouter.get('/outbox/:id/html', async (req, res) => {
+            try {
+                const outbox = await this.gmailService.getOutbox();
+                const message = outbox ? await outbox.get(req.params.id) : null;
+                if (!message) {
+                    return res.status(404).send('Message not found');
+                }
+                res.set('Content-Security-Policy', "default-src 'none'; img-src * data:; style-src * 'unsafe-inline'; font-src * data:");
+                res.type('html').send(message.html || '');
+            } catch (error) {
+                this.logger.error('Error reading outbox message:', error);
+                res.status(500).send(error.message);
+            }
+        });
+
+        apiRouter.get('/outbox/:id/eml', async (req, res) => {
+            try {
+                const outbox = await this.gmailService.getOutbox();
+                const raw = outbox ? await outbox.raw(req.params.id) : null;
+                if (raw === null) {
+                    return res.status(404).json({ error: 'Message not found' });
+                }
+                res.set('Content-Disposition', `attachment; filename="${req.params.id}.eml"`);
+                res.type('message/rfc822').send(raw);
+            } catch (error) {
+                this.logger.error('Error reading outbox message:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        apiRouter.delete('/outbox', async (req, res) => {
+            try {
+                const outbox = await this.gmailService.getOutbox();
+                const removed = outbox ? await outbox.clear() : 0;
+                res.json({ success: true, removed });
+            } catch (error) {
+                this.logger.error('Error clearing outbox:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
         // Cloud Scheduler Information endpoint
         apiRouter.get('/scheduler/info', (req, res) => {
             res.json({
@@ -212,18 +568,23 @@ class EmailAutomationServer {
                 
                 // Get batch size from query parameter
                 const batchSize = parseInt(req.query.batchSize || '1');
-                this.logger.info(`Processing emails with batch size: ${batchSize}`);
+                const dryRun = this.isDryRun(req);
+                this.logger.info(`Processing emails with batch size: ${batchSize}${dryRun ? ' (dry run)' : ''}`);
                 
                 // Use processSingleEmail with configurable batch size
-                const result = await this.emailService.processSingleEmail(batchSize);
+                const result = await this.emailService.processSingleEmail(batchSize, { dryRun });
                 
                 // Update stats
-                this.updateStats(result);
+                if (!dryRun) {
+                    this.updateStats(result);
+                }
                 
                 // Return success response
                 res.status(200).json({
                     success: true,
-                    message: `Email batch processing completed - ${result.sent} sent, ${result.failed} failed, ${result.remainingEmails || 0} remaining`,
+                    message: dryRun
+                        ? this.dryRunMessage(result)
+                        : `Email batch processing completed - ${result.sent} sent, ${result.failed} failed, ${result.remainingEmails || 0} remaining`,
                     timestamp: new Date().toISOString(),
                     batchSize: batchSize,
                     ...result
@@ -243,12 +604,15 @@ class EmailAutomationServer {
         // Manual email sending
         apiRouter.post('/send-emails', async (req, res) => {
             try {
-                this.logger.info('Manual email sending triggered');
+                const dryRun = this.isDryRun(req);
+                this.logger.info(`Manual email sending triggered${dryRun ? ' (dry run)' : ''}`);
                 
-                const result = await this.emailService.processEmails();
+                const result = await this.emailService.processEmails({ dryRun });
                 
                 // Update stats
-                this.updateStats(result);
+                if (!dryRun) {
+                    this.updateStats(result);
+                }
                 
                 res.json(result);
             } catch (error) {
@@ -273,18 +637,23 @@ class EmailAutomationServer {
                 
                 // Get batch size from environment or request body
                 const batchSize = req.body.batchSize || parseInt(process.env.EMAIL_BATCH_SIZE || '1');
-                this.logger.info(`Processing emails with batch size: ${batchSize}`);
+                const dryRun = this.isDryRun(req);
+                this.logger.info(`Processing emails with batch size: ${batchSize}${dryRun ? ' (dry run)' : ''}`);
                 
                 // Use processSingleEmail with configurable batch size
-                const result = await this.emailService.processSingleEmail(batchSize);
+                const result = await this.emailService.processSingleEmail(batchSize, { dryRun });
                 
                 // Update stats
-                this.updateStats(result);
+                if (!dryRun) {
+                    this.updateStats(result);
+                }
                 
                 // Return success response for Cloud Scheduler
                 res.status(200).json({
                     success: true,
-                    message: `Email batch processing completed - ${result.sent} sent, ${result.failed} failed, ${result.remainingEmails || 0} remaining`,
+                    message: dryRun
+                        ? this.dryRunMessage(result)
+                        : `Email batch processing completed - ${result.sent} sent, ${result.failed} failed, ${result.remainingEmails || 0} remaining`,
                     timestamp: new Date().toISOString(),
                     batchSize: batchSize,
                     ...result
@@ -316,13 +685,16 @@ class EmailAutomationServer {
                 
                 // Get batch size (default to 1 for scheduled jobs)
                 const batchSize = req.body.batchSize || parseInt(process.env.SCHEDULED_EMAIL_BATCH_SIZE || '1');
-                this.logger.info(`Processing scheduled emails with batch size: ${batchSize}`);
+                const dryRun = this.isDryRun(req);
+                this.logger.info(`Processing scheduled emails with batch size: ${batchSize}${dryRun ? ' (dry run)' : ''}`);
                 
                 // Process emails
-                const result = await this.emailService.processSingleEmail(batchSize);
+                const result = await this.emailService.processSingleEmail(batchSize, { dryRun });
                 
                 // Update stats
-                this.updateStats(result);
+                if (!dryRun) {
+                    this.updateStats(result);
+                }
                 
                 // Log results
                 this.logger.info(`Scheduled email job completed: ${result.sent} sent, ${result.failed} failed, ${result.remainingEmails || 0} remaining`);
@@ -331,7 +703,9 @@ class EmailAutomationServer {
                 res.status(200).json({
                     success: true,
                     scheduled: true,
-                    message: `Scheduled email job completed - ${result.sent} sent, ${result.failed} failed`,
+                    message: dryRun
+                        ? this.dryRunMessage(result)
+                        : `Scheduled email job completed - ${result.sent} sent, ${result.failed} failed`,
                     timestamp: new Date().toISOString(),
                     nextSchedule: '2 hours from now',
                     batchSize: batchSize,
@@ -412,7 +786,7 @@ class EmailAutomationServer {
                     try {
                         healthStatus.services = {
                             sheets: await Promise.race([
-                                this.sheetsService.testConnection(),
+                                this.recipientSource.testConnection(),
                                 new Promise(resolve => setTimeout(() => resolve(false), 2000))
                             ]),
                             gmail: await Promise.race([
@@ -489,17 +863,17 @@ class EmailAutomationServer {
         try {
             this.logger.info('Initializing services...');
             
-            // Initialize Google Sheets service with timeout
+            // Initialize the recipient source with timeout
             try {
                 await Promise.race([
-                    this.sheetsService.initialize(),
+                    this.recipientSource.initialize(),
                     new Promise((_, reject) => 
-                        setTimeout(() => reject(new Error('Sheets service initialization timeout')), 10000)
+                        setTimeout(() => reject(new Error('Recipient source initialization timeout')), 10000)
                     )
                 ]);
-                this.logger.info('Google Sheets service initialized');
+                this.logger.info(`Recipient source (${this.recipientSource.name}) initialized`);
             } catch (error) {
-                this.logger.warn('Google Sheets service initialization failed:', error.message);
+                this.logger.warn(`Recipient source (${this.recipientSource.name}) initialization failed:`, error.message);
                 // Don't fail server startup, service can be initialized later
             }
             
@@ -516,6 +890,18 @@ class EmailAutomationServer {
                 this.logger.warn('Gmail service initialization failed:', error.message);
                 // Don't fail server startup, service can be initialized later
             }
+
+            // Sender aliases (SENDER_EMAIL, template sheet) must be allowed for the account
+            try {
+                const senders = await this.emailService.checkSenderAddresses();
+                senders.invalid.forEach(address => this.logger.error(`Invalid sender or Reply-To address: ${address}`));
+                senders.rejected.forEach(address => this.logger.error(`${address} is not a "send as" alias of any sender account - emails will go out from the account address`));
+                if (senders.checked && senders.rejected.length === 0) {
+                    this.logger.info(`Sender addresses verified: ${senders.allowed.join(', ')}`);
+                }
+            } catch (error) {
+                this.logger.warn('Sender alias check failed:', error.message);
+            }
             
             this.logger.info('Service initialization completed');
             
@@ -525,6 +911,16 @@ class EmailAutomationServer {
         }
     }
 
+    // Dry run can be requested with ?dryRun=true or { "dryRun": true } in the body
+    isDryRun(req) {
+        const value = req.query.dryRun !== undefined ? req.query.dryRun : (req.body || {}).dryRun;
+        return value === true || value === 'true' || value === '1';
+    }
+
+    dryRunMessage(result) {
+        return `Dry run - ${result.wouldSend || 0} message(s) rendered, ${result.invalid || 0} invalid, nothing sent`;
+    }
+
     updateStats(result) {
         this.stats.sent += result.sent || 0;
         this.stats.failed += result.failed || 0;
@@ -537,10 +933,13 @@ class EmailAutomationServer {
     start() {
         return new Promise((resolve, reject) => {
             try {
+                UrlSigner.checkConfiguration();
+
                 this.server = this.app.listen(this.port, this.host, () => {
                     this.logger.info(`🚀 Email Automation Server started on ${this.host}:${this.port}`);
                     this.logger.info(`📱 Web interface: http://${this.host === '0.0.0.0' ? 'localhost' : this.host}:${this.port}`);
                     this.logger.info(`🔗 API base URL: http://${this.host === '0.0.0.0' ? 'localhost' : this.host}:${this.port}/api`);
+                    this.startMailboxChecks();
                     resolve();
                 });
                 
@@ -555,7 +954,39 @@ class EmailAutomationServer {
         });
     }
 
+    // Periodic mailbox scans for bounces and replies (0 minutes disables).
+    // On Cloud Run, where idle instances get no CPU, call the matching
+    // POST /api/.../process endpoint from Cloud Scheduler instead.
+    startMailboxChecks() {
+        this.mailboxTimers = [
+            this.schedule('Bounce check', process.env.BOUNCE_CHECK_INTERVAL_MINUTES || '60', () => this.emailService.processBounces()),
+            this.schedule('Reply check', process.env.REPLY_CHECK_INTERVAL_MINUTES || '30', () => this.emailService.processReplies())
+        ].filter(Boolean);
+    }
+
+    schedule(label, intervalMinutes, task) {
+        const minutes = parseInt(intervalMinutes);
+        if (!minutes || minutes <= 0) {
+            return null;
+        }
+
+        const timer = setInterval(async () => {
+            try {
+                const result = await task();
+                if (result.skipped) {
+                    this.logger.debug(`${label} skipped: ${result.reason}`);
+                }
+            } catch (error) {
+                this.logger.warn(`${label} failed: ${error.message}`);
+            }
+        }, minutes * 60 * 1000);
+        timer.unref();
+        return timer;
+    }
+
     async stop() {
+        (this.mailboxTimers || []).forEach(timer => clearInterval(timer));
+
         if (this.server) {
             // Close server gracefully
             await new Promise((resolve) => {
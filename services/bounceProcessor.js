@@ -0,0 +1,248 @@
+const JsonStore = require('../utils/jsonStore');
+
+// Gmail search for delivery-failure notices
+const BOUNCE_QUERY = 'from:(mailer-daemon OR postmaster)';
+
+// Permanent-looking statuses that are in practice temporary
+const SOFT_STATUSES = ['5.2.2']; // mailbox full
+
+// Delivery-failure notices (DSNs, RFC 3464) land in the sending mailbox from
+// mailer-daemon/postmaster. This scans them through the Gmail API, works out
+// which address failed and why, and feeds the result back:
+//   - hard bounces (5.x.x) are suppressed so the address is never mailed again
+//   - soft bounces (4.x.x, mailbox full...) are only recorded
+// Both are marked on the send ledger entry and logged to Sheet3.
+// Processed message ids are kept in data/bounces.json so a notice is only
+// counted once.
+class BounceProcessor {
+    constructor(logger, { ledger, suppression, recipientSource, store = null }) {
+        this.logger = logger;
+        this.ledger = ledger;
+        this.suppression = suppression;
+        this.recipientSource = recipientSource;
+        this.store = store || new JsonStore('bounces.json', { processed: {}, bounces: {}, lastRunAt: null });
+        this.processed = {};
+        this.bounces = {};
+        this.lastRunAt = null;
+        this.loaded = false;
+        this.running = false;
+        this.lookbackDays = parseInt(process.env.BOUNCE_LOOKBACK_DAYS || '7');
+        this.maxMessages = parseInt(process.env.BOUNCE_MAX_MESSAGES || '100');
+    }
+
+    async initialize() {
+        if (this.loaded) {
+            return;
+        }
+
+        const data = await this.store.load();
+        this.processed = data.processed || {};
+        this.bounces = data.bounces || {};
+        this.lastRunAt = data.lastRunAt || null;
+        this.loaded = true;
+    }
+
+    // `gmail` is a googleapis Gmail client (only users.messages.list/get are used)
+    async run(gmail) {
+        if (!gmail) {
+            return { skipped: true, reason: 'Gmail API not available - bounce processing needs OAuth2 authentication' };
+        }
+
+        if (this.running) {
+            throw new Error('Bounce processing already in progress');
+        }
+
+        this.running = true;
+
+        try {
+            await this.initialize();
+
+            const ids = await this.listBounceMessageIds(gmail);
+            const fresh = ids.filter(id => !this.processed[id]);
+            const result = { scanned: ids.length, processed: 0, hard: 0, soft: 0, unmatched: 0, bounces: [] };
+
+            for (const id of fresh) {
+                const response = await gmail.users.messages.get({ userId: 'me', id: id, format: 'raw' });
+                const raw = Buffer.from(response.data.raw || '', 'base64url').toString('utf8');
+
+                for (const bounce of this.parseBounce(raw)) {
+                    const matched = await this.recordBounce(bounce, id);
+                    result[bounce.type]++;
+                    if (!matched) {
+                        result.unmatched++;
+                    }
+                    result.bounces.push({ ...bounce, matched });
+                }
+
+                this.processed[id] = new Date().toISOString();
+                result.processed++;
+                await this.persist();
+            }
+
+            this.lastRunAt = new Date().toISOString();
+            await this.persist();
+
+            this.logger.info(`Bounce check: ${result.processed} new notice(s), ${result.hard} hard, ${result.soft} soft bounce(s)`);
+            return result;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async listBounceMessageIds(gmail) {
+        const ids = [];
+        let pageToken;
+
+        do {
+            const response = await gmail.users.messages.list({
+                userId: 'me',
+                q: `${BOUNCE_QUERY} newer_than:${this.lookbackDays}d`,
+                maxResults: Math.min(100, this.maxMessages - ids.length),
+                pageToken: pageToken
+            });
+
+            (response.data.messages || []).forEach(message => ids.push(message.id));
+            pageToken = response.data.nextPageToken;
+        } while (pageToken && ids.length < this.maxMessages);
+
+        return ids;
+    }
+
+    // Failed recipients in a raw DSN. Uses the machine-readable
+    // message/delivery-status fields when present, otherwise falls back to
+    // the X-Failed-Recipients header and the first status code in the text.
+    parseBounce(raw) {
+        const bounces = [];
+
+        // One block of fields per recipient, each ending at a blank line
+        raw.split(/^(?=Final-Recipient:)/mi).slice(1).forEach(section => {
+            const block = section.split(/\r?\n\r?\n/)[0];
+            const email = this.extractAddress(this.field(block, 'Final-Recipient'));
+            const action = (this.field(block, 'Action') || '').toLowerCase();
+            if (!email || (action && action !== 'failed' && action !== 'delayed')) {
+                return;
+            }
+
+            const status = (this.field(block, 'Status') || '').match(/[245]\.\d{1,3}\.\d{1,3}/);
+            const diagnostic = (this.field(block, 'Diagnostic-Code') || '').replace(/^smtp;\s*/i, '');
+            bounces.push(this.buildBounce(email, status ? status[0] : null, action, diagnostic));
+        });
+
+        if (bounces.length > 0) {
+            return bounces;
+        }
+
+        const failed = this.field(raw, 'X-Failed-Recipients');
+        if (!failed) {
+            return [];
+        }
+
+        const status = raw.match(/\b[45]\.\d{1,3}\.\d{1,3}\b/);
+        const diagnostic = (raw.match(/^.*\b[45]\d\d[ -][45]\.\d{1,3}\.\d{1,3}\b.*$/m) || [''])[0].trim();
+        return failed.split(',')
+            .map(address => this.extractAddress(address))
+            .filter(Boolean)
+            .map(email => this.buildBounce(email, status ? status[0] : null, 'failed', diagnostic));
+    }
+
+    buildBounce(email, status, action, diagnostic) {
+        return {
+            email: email,
+            status: status,
+            type: this.classify(status, action, diagnostic),
+            diagnostic: diagnostic || null
+        };
+    }
+
+    classify(status, action, diagnostic) {
+        if (action === 'delayed') {
+            return 'soft';
+        }
+
+        if (status) {
+            return status.startsWith('5.') && !SOFT_STATUSES.includes(status) ? 'hard' : 'soft';
+        }
+
+        // No enhanced status code - fall back to the SMTP reply code
+        const reply = (diagnostic || '').match(/\b([45])\d\d\b/);
+        return reply && reply[1] === '5' ? 'hard' : 'soft';
+    }
+
+    // Header-style field, with folded continuation lines joined
+    field(text, name) {
+        const match = text.match(new RegExp(`^${name}:[ \\t]*(.*(?:\\r?\\n[ \\t]+.*)*)`, 'mi'));
+        return match ? match[1].replace(/\r?\n[ \t]+/g, ' ').trim() : null;
+    }
+
+    extractAddress(value) {
+        const match = (value || '').replace(/^rfc822;/i, '').match(/[^\s<>;"]+@[^\s<>;"]+/);
+        return match ? match[0].toLowerCase() : null;
+    }
+
+    // Returns whether the address was one we sent to (in the ledger)
+    async recordBounce(bounce, gmailMessageId) {
+        const now = new Date().toISOString();
+        const previous = this.bounces[bounce.email];
+
+        this.bounces[bounce.email] = {
+            type: previous && previous.type === 'hard' ? 'hard' : bounce.type,
+            status: bounce.status,
+            diagnostic: bounce.diagnostic,
+            count: previous ? previous.count + 1 : 1,
+            lastBounceAt: now,
+            gmailMessageId: gmailMessageId
+        };
+
+        if (bounce.type === 'hard') {
+            await this.suppression.add(bounce.email, { source: 'bounce', status: bounce.status });
+        }
+
+        await this.ledger.initialize();
+        const entry = this.ledger.get(bounce.email);
+        if (!entry) {
+            this.logger.warn(`Bounce for ${bounce.email} does not match any sent address`);
+            return false;
+        }
+
+        await this.ledger.markBounced(bounce.email, { type: bounce.type, status: bounce.status, bouncedAt: now });
+        await this.recipientSource.logEmailResult(
+            entry.name,
+            bounce.email,
+            bounce.type === 'hard' ? 'bounced' : 'soft-bounced',
+            new Date().toLocaleString('vi-VN', { timeZone: 'Asia/Ho_Chi_Minh' }),
+            { messageId: entry.messageId, variant: entry.variant, error: bounce.status }
+        );
+
+        this.logger.warn(`${bounce.type === 'hard' ? 'Hard' : 'Soft'} bounce for ${bounce.email} (${bounce.status || 'no status'})`, {
+            type: 'email_bounced',
+            email: bounce.email,
+            bounceType: bounce.type,
+            status: bounce.status
+        });
+        return true;
+    }
+
+    getStats() {
+        const bounces = Object.values(this.bounces);
+        return {
+            lastRunAt: this.lastRunAt,
+            hard: bounces.filter(bounce => bounce.type === 'hard').length,
+            soft: bounces.filter(bounce => bounce.type === 'soft').length,
+            addresses: this.bounces
+        };
+    }
+
+    // Notices older than the search window can't come back, so forget them
+    persist() {
+        const cutoff = Date.now() - (this.lookbackDays + 1) * 24 * 60 * 60 * 1000;
+        Object.keys(this.processed).forEach(id => {
+            if (new Date(this.processed[id]).getTime() < cutoff) {
+                delete this.processed[id];
+            }
+        });
+
+        return this.store.save({ processed: this.processed, bounces: this.bounces, lastRunAt: this.lastRunAt });
+    }
+}
+
+module.exports = BounceProcessor;
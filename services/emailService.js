@@ -1,13 +1,53 @@
+const EmailQueue = require('../utils/emailQueue');
+const SendLedger = require('../utils/sendLedger');
+const TemplateLinter = require('../utils/templateLinter');
+const TrackingStore = require('../utils/trackingStore');
+const BounceProcessor = require('./bounceProcessor');
+const ReplyProcessor = require('./replyProcessor');
+const Sequence = require('../utils/sequence');
+const AbTest = require('../utils/abTest');
+const AddressValidator = require('../utils/addressValidator');
+
 class EmailService {
-    constructor(sheetsService, gmailService, logger) {
-        this.sheetsService = sheetsService;
+    // `recipientSource` is a RecipientSource (Google Sheets or a local file)
+    constructor(recipientSource, gmailService, logger) {
+        this.recipientSource = recipientSource;
         this.gmailService = gmailService;
         this.logger = logger;
+        this.queue = new EmailQueue(logger);
+        this.ledger = new SendLedger(logger);
+        this.templateLinter = new TemplateLinter();
+        this.tracking = new TrackingStore(logger);
+        this.abTest = new AbTest(logger);
+        // Shared with the recipient source, which filters recipients by it
+        this.suppression = recipientSource.suppressionList;
+        this.bounceProcessor = new BounceProcessor(logger, {
+            ledger: this.ledger,
+            suppression: this.suppression,
+            recipientSource: recipientSource
+        });
+        this.replyProcessor = new ReplyProcessor(logger, {
+            ledger: this.ledger,
+            suppression: this.suppression,
+            recipientSource: recipientSource
+        });
+        // block = lint errors stop the run, warn = log only, off = skip linting
+        this.lintMode = process.env.TEMPLATE_LINT_MODE || 'block';
+        // skip-invalid = don't send to invalid addresses, skip-risky = risky
+        // ones too, warn = only report (see AddressValidator)
+        this.addressCheckMode = process.env.ADDRESS_CHECK_MODE || 'skip-invalid';
         this.processing = false;
     }
 
     // IMPROVED METHOD: Process emails with configurable batch size
-    async processSingleEmail(batchSize = null) {
+    async processSingleEmail(batchSize = null, options = {}) {
+        // Determine batch size from env or parameter
+        const effectiveBatchSize = batchSize || parseInt(process.env.EMAIL_BATCH_SIZE || '1');
+
+        if (options.dryRun) {
+            return this.dryRun(effectiveBatchSize);
+        }
+
         if (this.processing) {
             throw new Error('Email processing already in progress');
         }
@@ -15,46 +55,9 @@ class EmailService {
         this.processing = true;
         
         try {
-            // Determine batch size from env or parameter
-            const effectiveBatchSize = batchSize || parseInt(process.env.EMAIL_BATCH_SIZE || '1');
             this.logger.info(`Starting email processing with batch size: ${effectiveBatchSize}...`);
-            
-            // Get unprocessed recipients
-            const recipients = await this.sheetsService.getUnprocessedRecipients();
-            if (recipients.length === 0) {
-                this.logger.info('No unprocessed recipients found');
-                return { sent: 0, failed: 0, message: 'No emails to send' };
-            }
-
-            // Take only the specified number of recipients
-            const batchRecipients = recipients.slice(0, effectiveBatchSize);
-            this.logger.info(`Processing ${batchRecipients.length} emails for: ${batchRecipients.map(r => r.name || r.email).join(', ')}`);
-
-            // Get email template
-            const template = await this.sheetsService.getEmailTemplate();
-            if (!template || !template.subject || !template.content) {
-                throw new Error('Invalid email template');
-            }
 
-            // Prepare emails
-            const emails = this.gmailService.prepareEmailBatch(batchRecipients, template);
-            this.logger.info(`Prepared ${emails.length} emails for sending`);
-
-            // Send emails
-            const results = await this.sendEmailsWithRetry(emails);
-            
-            // Update recipient statuses
-            await this.updateRecipientStatuses(batchRecipients, results.details);
-
-            this.logger.info(`Email processing completed. Sent: ${results.sent}, Failed: ${results.failed}`);
-
-            return {
-                sent: results.sent,
-                failed: results.failed,
-                total: batchRecipients.length,
-                remainingEmails: recipients.length - batchRecipients.length,
-                details: results.details
-            };
+            return await this.recipientSource.withBatchedWrites(() => this.drainQueue(effectiveBatchSize));
 
         } catch (error) {
             this.logger.error('Email processing failed:', error);
@@ -64,7 +67,11 @@ class EmailService {
         }
     }
 
-    async processEmails() {
+    async processEmails(options = {}) {
+        if (options.dryRun) {
+            return this.dryRun(Infinity);
+        }
+
         if (this.processing) {
             throw new Error('Email processing already in progress');
         }
@@ -73,47 +80,524 @@ class EmailService {
         
         try {
             this.logger.info('Starting email processing...');
-            
-            // Get unprocessed recipients
-            const recipients = await this.sheetsService.getUnprocessedRecipients();
-            if (recipients.length === 0) {
-                this.logger.info('No unprocessed recipients found');
-                return { sent: 0, failed: 0, message: 'No emails to send' };
-            }
 
-            this.logger.info(`Found ${recipients.length} recipients to process`);
+            // Drain every job that is ready to send
+            return await this.recipientSource.withBatchedWrites(() => this.drainQueue(Infinity));
 
-            // Get email template
-            const template = await this.sheetsService.getEmailTemplate();
-            if (!template || !template.subject || !template.content) {
-                throw new Error('Invalid email template');
+        } catch (error) {
+            this.logger.error('Email processing failed:', error);
+            throw error;
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    // Refill the queue from the sheet, then claim and send up to `limit` jobs.
+    // Callers wrap this in withBatchedWrites, so the statuses and Sheet3 rows
+    // of the whole run are written at the end in one request each.
+    async drainQueue(limit) {
+        await this.refillQueue();
+
+        const claimed = await this.queue.claim(limit);
+        const jobs = await this.skipAlreadySent(await this.skipBadAddresses(await this.skipSuppressed(claimed)));
+        if (jobs.length === 0) {
+            this.logger.info('No queued recipients ready to send');
+            return {
+                sent: 0,
+                failed: 0,
+                message: 'No emails to send',
+                remainingEmails: this.queue.getRemainingCount()
+            };
+        }
+
+        const batchRecipients = jobs.map(job => job.recipient);
+        this.logger.info(`Processing ${batchRecipients.length} emails for: ${batchRecipients.map(r => r.name || r.primaryEmail).join(', ')}`);
+
+        let emails;
+        try {
+            // Check every template variant before anything goes out
+            const lint = await this.lintTemplates(batchRecipients);
+            if (lint && !lint.valid) {
+                const summary = this.templateLinter.summarize(lint);
+                if (this.lintMode === 'block') {
+                    throw new Error(`Template validation failed: ${summary.join('; ')}`);
+                }
+                this.logger.warn(`Template validation issues (not blocking): ${summary.join('; ')}`);
             }
 
-            // Prepare emails
-            const emails = this.gmailService.prepareEmailBatch(recipients, template);
+            // Prepare emails, each with its sequence step's template
+            ({ emails } = await this.prepareEmails(batchRecipients));
             this.logger.info(`Prepared ${emails.length} emails for sending`);
 
-            // Send emails
-            const results = await this.sendEmailsWithRetry(emails);
-            
-            // Update recipient statuses
-            await this.updateRecipientStatuses(recipients, results.details);
+            // A missing or oversized attachment always stops the batch
+            const attachments = this.summarizeAttachmentIssues(emails.map(email => ({
+                template: email.templateVariant.title,
+                recipient: (email.bcc && email.bcc.length > 0 ? email.bcc : [email.to]).join(', '),
+                issues: email.attachmentIssues
+            })));
+            if (attachments.errors.length > 0) {
+                throw new Error(`Attachment check failed: ${attachments.errors.join('; ')}`);
+            }
+            if (attachments.warnings.length > 0) {
+                this.logger.warn(`Attachment warnings: ${attachments.warnings.join('; ')}`);
+            }
+        } catch (error) {
+            // Nothing was sent - hand the jobs back untouched
+            await this.queue.release(jobs.map(job => job.id));
+            throw error;
+        }
+
+        // Send emails
+        const results = await this.sendEmailsWithRetry(emails);
+
+        // Record the outcome of each job in the queue. A job is only done when
+        // every one of its addresses went out; sent addresses go to the ledger
+        // so a retry of the job only targets the ones that failed.
+        let deferred = 0;
+        for (const job of jobs) {
+            const jobDetails = results.details.filter(detail =>
+                detail.recipientId === (job.recipient.id || job.recipient.rowIndex) && detail.step === (job.recipient.step || 1));
+            if (jobDetails.length === 0) {
+                continue;
+            }
+
+            const sentDetails = jobDetails.filter(detail => detail.status === 'sent');
+            const failedDetails = jobDetails.filter(detail => detail.status !== 'sent');
+
+            for (const detail of sentDetails) {
+                // The first step's subject is what follow-ups reply to
+                await this.ledger.record(detail.email, {
+                    messageId: detail.messageId,
+                    threadId: detail.threadId,
+                    account: detail.account,
+                    rowIndex: job.recipient.rowIndex,
+                    name: job.recipient.name,
+                    step: detail.step,
+                    variant: detail.variant,
+                    ...(detail.step === 1 ? { subject: detail.subject } : {})
+                });
+                const message = emails.find(email => email.trackingId === detail.trackingId) || {};
+                await this.tracking.registerMessage(detail.trackingId, {
+                    email: detail.email,
+                    rowIndex: job.recipient.rowIndex,
+                    name: job.recipient.name,
+                    messageId: detail.messageId,
+                    subject: message.subject,
+                    campaign: message.campaign,
+                    variant: message.templateVariant
+                });
+            }
+
+            const state = failedDetails.length === 0
+                ? await this.queue.markSent(job.id, sentDetails[0].messageId)
+                : await this.queue.markFailed(job.id, failedDetails.map(detail => `${detail.email}: ${detail.error}`).join('; '));
+
+            jobDetails.forEach(detail => {
+                detail.queueState = detail.status === 'sent' ? 'sent' : state;
+            });
+
+            if (state === 'deferred') {
+                deferred += failedDetails.length;
+                this.logger.warn(`Deferred ${failedDetails.map(detail => detail.email).join(', ')} for retry (attempt ${job.attempts}/${this.queue.maxAttempts})`);
+            }
+        }
+
+        // Update recipient statuses - deferred jobs are not final yet
+        const finalDetails = results.details.filter(detail => detail.queueState !== 'deferred');
+        await this.updateRecipientStatuses(batchRecipients, finalDetails);
+
+        await this.abTest.recordResults(finalDetails);
+        await this.tracking.initialize();
+        await this.abTest.evaluate(Object.values(this.tracking.messages));
+
+        this.logger.info(`Email processing completed. Sent: ${results.sent}, Failed: ${results.failed}, Deferred: ${deferred}`);
+
+        return {
+            sent: results.sent,
+            failed: results.failed,
+            deferred: deferred,
+            total: batchRecipients.length,
+            remainingEmails: this.queue.getRemainingCount(),
+            details: results.details
+        };
+    }
+
+    // Enqueue every unprocessed sheet recipient and every due sequence
+    // follow-up that has no job yet
+    async refillQueue() {
+        await this.ledger.initialize();
+        const recipients = (await this.recipientSource.getUnprocessedRecipients())
+            .filter(recipient => this.ledger.partition(recipient.allEmails).unsent.length > 0);
+        const followUps = await this.findDueFollowUps();
+        return this.queue.enqueue([...recipients, ...followUps]);
+    }
+
+    // Sheet1 rows with addresses due for their next sequence step. One
+    // recipient per row and step, carrying the thread of the earlier steps.
+    // Replies, unsubscribes and hard bounces are on the suppression list, so
+    // they never get a follow-up.
+    async findDueFollowUps(sequence = Sequence.load()) {
+        if (sequence.length < 2) {
+            return [];
+        }
+
+        await this.ledger.initialize();
+        await this.suppression.initialize();
+
+        const now = Date.now();
+        const followUps = [];
+        const rows = (await this.recipientSource.getRecipientData())
+            .filter(row => !['replied', 'unsubscribed', 'completed'].includes(row.status));
+
+        rows.forEach(row => {
+            const byStep = {};
+            row.allEmails
+                .filter(email => this.ledger.has(email) && !this.suppression.has(email))
+                .forEach(email => {
+                    const step = sequence.nextStepFor(this.ledger.get(email), now);
+                    if (step) {
+                        byStep[step] = byStep[step] || [];
+                        byStep[step].push(email);
+                    }
+                });
+
+            Object.entries(byStep).forEach(([step, emails]) => {
+                const threads = {};
+                emails.forEach(email => {
+                    threads[email.toLowerCase()] = this.ledger.getThread(email);
+                });
+
+                followUps.push({
+                    ...row,
+                    primaryEmail: emails.includes(row.primaryEmail) ? row.primaryEmail : emails[0],
+                    allEmails: emails,
+                    step: Number(step),
+                    threads: threads
+                });
+            });
+        });
+
+        return followUps;
+    }
 
-            this.logger.info(`Email processing completed. Sent: ${results.sent}, Failed: ${results.failed}`);
+    // Render a batch whose recipients may be at different sequence steps.
+    // Every recipient gets its own A/B variant out of its step's Sheet2
+    // templates.
+    async prepareEmails(recipients) {
+        const sequence = Sequence.load();
+        const allTemplates = await this.recipientSource.getEmailTemplates();
+        await this.abTest.initialize();
 
+        const steps = [...new Set(recipients.map(recipient => recipient.step || 1))].sort((a, b) => a - b);
+        const emails = [];
+        const templates = [];
+
+        for (const step of steps) {
+            const candidates = sequence.templatesFor(step, allTemplates);
+            if (allTemplates.length > 0 && candidates.length === 0) {
+                throw new Error(`No Sheet2 template for sequence step ${step}`);
+            }
+
+            // An empty Sheet2 falls back to the built-in default template
+            const pool = candidates.length > 0 ? candidates : [this.recipientSource.pickTemplate([])];
+            const groups = new Map();
+            recipients
+                .filter(recipient => (recipient.step || 1) === step)
+                .forEach(recipient => {
+                    const template = this.abTest.assign(pool, recipient, step);
+                    groups.set(template, [...(groups.get(template) || []), recipient]);
+                });
+
+            for (const [template, variantRecipients] of groups) {
+                if (!template || !template.subject || !template.content) {
+                    throw new Error(`Invalid email template${step > 1 ? ` for sequence step ${step}` : ''}`);
+                }
+
+                emails.push(...this.gmailService.prepareEmailBatch(variantRecipients, template));
+                templates.push({ step, template, recipients: variantRecipients.length });
+            }
+        }
+
+        return { emails, templates };
+    }
+
+    // Render what the next drain of `limit` jobs would send, without claiming
+    // jobs, touching the transporter or writing to the sheet/ledger
+    async dryRun(limit) {
+        this.logger.info(`Dry run: rendering up to ${limit} recipient(s), nothing will be sent`);
+
+        await this.queue.initialize();
+        await this.ledger.initialize();
+
+        // Same selection as a real drain: ready queue jobs first, then sheet
+        // recipients that a refill would add
+        const queued = this.queue.getReadyJobs().map(job => job.recipient);
+        const unqueued = [
+            ...await this.recipientSource.getUnprocessedRecipients(),
+            ...await this.findDueFollowUps()
+        ].filter(recipient => !this.queue.hasJobFor(recipient));
+
+        await this.suppression.initialize();
+        const skippedAddresses = [];
+        const batchAddresses = new Set();
+        const batchRecipients = [...queued, ...unqueued]
+            .map(recipient => {
+                const { allowed, skipped } = this.filterAddresses(recipient);
+                skippedAddresses.push(...skipped);
+                const unique = allowed.filter(email => !batchAddresses.has(email.toLowerCase()));
+                unique.forEach(email => batchAddresses.add(email.toLowerCase()));
+                return {
+                    ...recipient,
+                    allEmails: this.ledger.partition(this.suppression.filter(unique), recipient.step || 1).unsent
+                };
+            })
+            .filter(recipient => recipient.allEmails.length > 0)
+            .slice(0, limit);
+
+        if (batchRecipients.length === 0) {
             return {
-                sent: results.sent,
-                failed: results.failed,
-                total: emails.length,
-                details: results.details
+                dryRun: true,
+                sent: 0,
+                failed: 0,
+                message: 'No emails to send',
+                messages: []
             };
+        }
 
+        const lint = await this.lintTemplates(batchRecipients);
+        const templateIssues = lint ? this.templateLinter.summarize(lint) : [];
+
+        // Still render when linting found problems - seeing them is the point
+        let emails = [];
+        let templates = [];
+        try {
+            ({ emails, templates } = await this.prepareEmails(batchRecipients));
         } catch (error) {
-            this.logger.error('Email processing failed:', error);
-            throw error;
-        } finally {
-            this.processing = false;
+            templateIssues.push(error.message);
+        }
+
+        const messages = emails.map(({ attachmentIssues, ...email }) => {
+            const addresses = email.bcc && email.bcc.length > 0 ? email.bcc : [email.to];
+            const issues = addresses
+                .filter(address => !this.gmailService.isValidEmail(address))
+                .map(address => `Invalid email address: ${address}`);
+            if (!email.subject || !email.subject.trim()) {
+                issues.push('Empty subject');
+            }
+            if (!email.text || !email.text.trim()) {
+                issues.push('Empty body');
+            }
+            issues.push(...attachmentIssues.filter(issue => issue.severity === 'error').map(issue => issue.message));
+
+            return { ...email, valid: issues.length === 0, issues };
+        });
+
+        this.logger.info(`Dry run: rendered ${messages.length} message(s) for ${batchRecipients.length} recipient(s)`);
+
+        return {
+            dryRun: true,
+            sent: 0,
+            failed: 0,
+            total: batchRecipients.length,
+            wouldSend: messages.filter(message => message.valid).length,
+            invalid: messages.filter(message => !message.valid).length,
+            template: templates.length > 0 ? this.describeTemplate(templates[0].template) : null,
+            templates: templates.map(({ step, template, recipients }) => ({ step, recipients, ...this.describeTemplate(template) })),
+            issues: templateIssues,
+            lint: lint,
+            skippedAddresses: skippedAddresses,
+            messages: messages
+        };
+    }
+
+    describeTemplate(template) {
+        return {
+            title: template.title,
+            selectedIndex: template.selectedIndex,
+            totalOptions: template.totalOptions
+        };
+    }
+
+    // Lint all Sheet2 template variants against the given recipients
+    async lintTemplates(recipients) {
+        if (this.lintMode === 'off') {
+            return null;
+        }
+
+        const templates = await this.recipientSource.getEmailTemplates();
+        return this.templateLinter.lint(templates, recipients);
+    }
+
+    // Attachment problems of every Sheet2 template for the given recipients,
+    // like lintTemplates(). Templates whose files don't depend on the
+    // recipient are checked once.
+    async checkAttachments(recipients) {
+        const templates = await this.recipientSource.getEmailTemplates();
+        const resolver = this.gmailService.attachmentResolver;
+        const entries = [];
+
+        templates.forEach(template => {
+            const targets = resolver.isPersonalized(template) && recipients.length > 0 ? recipients : [null];
+            targets.forEach(recipient => {
+                entries.push({
+                    template: template.title,
+                    recipient: recipient ? recipient.primaryEmail || recipient.name : null,
+                    issues: resolver.resolve(template, this.gmailService.templateEngine.buildFields(recipient || {})).issues
+                });
+            });
+        });
+
+        return this.summarizeAttachmentIssues(entries);
+    }
+
+    // { errors, warnings } lines from [{ template, recipient, issues }], one
+    // per distinct problem with the recipients it affects (10 at most each)
+    summarizeAttachmentIssues(entries) {
+        const grouped = new Map();
+        entries.forEach(({ template, recipient, issues }) => {
+            (issues || []).forEach(issue => {
+                const key = `${issue.severity}\n${template}\n${issue.message}`;
+                const group = grouped.get(key) || { ...issue, template, recipients: new Set() };
+                if (recipient) {
+                    group.recipients.add(recipient);
+                }
+                grouped.set(key, group);
+            });
+        });
+
+        const lines = severity => [...grouped.values()]
+            .filter(group => group.severity === severity)
+            .map(group => {
+                const recipients = [...group.recipients];
+                const target = recipients.length === 1 ? ` (${recipients[0]})` : recipients.length > 1 ? ` (${recipients.length} recipients)` : '';
+                return `Template "${group.template}": ${group.message}${target}`;
+            })
+            .slice(0, 10);
+
+        return { errors: lines('error'), warnings: lines('warning') };
+    }
+
+    // Check claimed jobs against the send ledger. Addresses already emailed
+    // are dropped; jobs with nothing left to send are closed as sent and the
+    // sheet status is brought back in line.
+    async skipAlreadySent(jobs) {
+        await this.ledger.initialize();
+        const remaining = [];
+
+        for (const job of jobs) {
+            const { unsent, alreadySent } = this.ledger.partition(job.recipient.allEmails, job.recipient.step || 1);
+
+            if (unsent.length === 0) {
+                const entry = this.ledger.get(alreadySent[0]);
+                this.logger.info(`Skipping ${job.recipient.name || alreadySent[0]}: already sent on ${entry.sentAt}`);
+                await this.queue.markSent(job.id, entry.messageId || null);
+                await this.recipientSource.updateRecipientStatus(job.recipient.rowIndex, 'sent');
+                continue;
+            }
+
+            if (alreadySent.length > 0) {
+                this.logger.info(`Skipping already-sent address(es) for ${job.recipient.name}: ${alreadySent.join(', ')}`);
+                job.recipient = { ...job.recipient, allEmails: unsent };
+            }
+
+            remaining.push(job);
+        }
+
+        return remaining;
+    }
+
+    // Drop unsubscribed addresses from claimed jobs. They may have been queued
+    // before the recipient opted out; jobs left with no address are cancelled.
+    async skipSuppressed(jobs) {
+        await this.suppression.initialize();
+        const remaining = [];
+
+        for (const job of jobs) {
+            const allowed = this.suppression.filter(job.recipient.allEmails);
+
+            if (allowed.length === 0) {
+                this.logger.info(`Cancelling job for ${job.recipient.name || job.recipient.primaryEmail}: unsubscribed`);
+                await this.queue.cancel(job.id, 'Unsubscribed');
+                continue;
+            }
+
+            if (allowed.length < job.recipient.allEmails.length) {
+                job.recipient = { ...job.recipient, allEmails: allowed };
+            }
+
+            remaining.push(job);
         }
+
+        return remaining;
+    }
+
+    // Split a recipient's addresses by the address check verdicts and
+    // ADDRESS_CHECK_MODE
+    filterAddresses(recipient) {
+        const blocked = {
+            'skip-invalid': ['invalid'],
+            'skip-risky': ['invalid', 'risky']
+        }[this.addressCheckMode] || [];
+        const checks = (recipient.addressCheck && recipient.addressCheck.addresses) || [];
+
+        const skipped = checks.filter(check =>
+            blocked.includes(check.verdict) &&
+            recipient.allEmails.some(email => email.toLowerCase() === check.email.toLowerCase())
+        );
+        const skippedEmails = skipped.map(check => check.email.toLowerCase());
+
+        return {
+            allowed: recipient.allEmails.filter(email => !skippedEmails.includes(email.toLowerCase())),
+            skipped: skipped
+        };
+    }
+
+    // Drop addresses the address check rejects (and addresses an earlier job
+    // of the same batch already covers - the ledger only knows finished
+    // sends). Jobs left without addresses are cancelled and logged.
+    async skipBadAddresses(jobs) {
+        const remaining = [];
+        const batchAddresses = new Set();
+
+        for (const job of jobs) {
+            const { allowed, skipped } = this.filterAddresses(job.recipient);
+            const unique = allowed.filter(email => !batchAddresses.has(email.toLowerCase()));
+            unique.forEach(email => batchAddresses.add(email.toLowerCase()));
+
+            for (const check of skipped) {
+                const reasons = check.reasons.map(reason => reason.message).join('; ');
+                this.logger.warn(`Skipping ${check.email} (${check.verdict}): ${reasons}`, {
+                    type: 'address_skipped',
+                    email: check.email,
+                    verdict: check.verdict
+                });
+                await this.recipientSource.logEmailResult(job.recipient.name, check.email, `skipped (${check.verdict} address)`, null, { error: reasons });
+            }
+
+            if (unique.length === 0) {
+                const reason = skipped.length > 0 ? `Address check: ${skipped.map(check => `${check.email} ${check.verdict}`).join(', ')}` : 'Duplicate address in batch';
+                this.logger.info(`Cancelling job for ${job.recipient.name || job.recipient.primaryEmail}: ${reason}`);
+                await this.queue.cancel(job.id, reason);
+                continue;
+            }
+
+            if (unique.length < job.recipient.allEmails.length) {
+                job.recipient = { ...job.recipient, allEmails: unique };
+            }
+
+            remaining.push(job);
+        }
+
+        return remaining;
+    }
+
+    // Address quality of every recipient row, for the dashboard
+    async getAddressReport() {
+        const recipients = await this.recipientSource.getRecipientData({ includeInvalid: true });
+        return {
+            mode: this.addressCheckMode,
+            ...AddressValidator.summarize(recipients)
+        };
     }
 
     async sendEmailsWithRetry(emails, maxRetries = 3) {
@@ -125,38 +609,92 @@ class EmailService {
 
         for (const email of emails) {
             let lastError = null;
+            let sender = this.gmailService.getSenderIdentity(email.sender).email;
+            let account = null;
             let sent = false;
+            let failovers = 0;
+            let attempts = 0;
+            // BCC messages reach several addresses - report each one separately
+            const addresses = email.bcc && email.bcc.length > 0 ? email.bcc : [email.to];
+            const label = addresses.join(', ');
 
             for (let attempt = 1; attempt <= maxRetries && !sent; attempt++) {
+                attempts++;
                 try {
-                    this.logger.info(`Sending email to ${email.to} (attempt ${attempt}/${maxRetries})`);
+                    this.logger.info(`Sending email to ${label} (attempt ${attempt}/${maxRetries})`);
                     
                     const result = await this.gmailService.sendEmail(
                         email.to,
                         email.subject,
                         email.html,
-                        email.text
+                        email.text,
+                        {
+                            bcc: email.bcc,
+                            sender: email.sender,
+                            headers: email.headers,
+                            inReplyTo: email.inReplyTo,
+                            references: email.references,
+                            threadId: email.threadId,
+                            threadAccount: email.threadAccount,
+                            attachments: email.attachments,
+                            // Shown in the outbox of the file/memory transports
+                            metadata: {
+                                campaign: email.campaign || null,
+                                step: email.step || 1,
+                                variant: email.templateVariant ? email.templateVariant.title : null,
+                                recipientId: email.recipientId,
+                                trackingId: email.trackingId || null
+                            }
+                        }
                     );
 
+                    sender = result.sender || sender;
+                    account = result.account || account;
                     if (result.success) {
-                        results.sent++;
-                        results.details.push({
-                            recipientId: email.recipientId,
-                            email: Array.isArray(email.to) ? email.to[0] : email.to,
-                            status: 'sent',
-                            messageId: result.messageId,
-                            attempt: attempt
+                        addresses.forEach(address => {
+                            results.sent++;
+                            results.details.push({
+                                recipientId: email.recipientId,
+                                email: address,
+                                step: email.step || 1,
+                                variant: email.templateVariant ? email.templateVariant.title : null,
+                                subject: email.subject,
+                                status: 'sent',
+                                messageId: result.messageId,
+                                threadId: result.threadId || null,
+                                trackingId: email.trackingId || null,
+                                campaign: email.campaign || null,
+                                sender: sender,
+                                account: account,
+                                attempt: attempt
+                            });
                         });
                         sent = true;
-                        this.logger.info(`Email sent successfully to ${email.to}`);
+                        this.logger.info(`Email sent successfully to ${label}`);
                     } else {
                         lastError = result.error;
-                        this.logger.warn(`Email sending failed to ${email.to}: ${result.error}`);
+                        this.logger.warn(`Email sending failed to ${label}: ${result.error}`);
+
+                        // Every sender account is paused, over quota or rejected
+                        if (result.errorType === 'no-account') {
+                            break;
+                        }
+
+                        // The account was the problem, not the message - it is
+                        // out of rotation now, so try the next one right away
+                        // without using up an attempt
+                        const pool = await this.gmailService.getSenderPool();
+                        if (result.errorType && failovers < pool.size()) {
+                            failovers++;
+                            attempt--;
+                            this.logger.info(`Retrying ${label} from another sender account`);
+                            continue;
+                        }
                     }
 
                 } catch (error) {
                     lastError = error.message;
-                    this.logger.warn(`Email sending error to ${email.to}: ${error.message}`);
+                    this.logger.warn(`Email sending error to ${label}: ${error.message}`);
                 }
 
                 // Wait before retry (exponential backoff)
@@ -167,15 +705,23 @@ class EmailService {
             }
 
             if (!sent) {
-                results.failed++;
-                results.details.push({
-                    recipientId: email.recipientId,
-                    email: Array.isArray(email.to) ? email.to[0] : email.to,
-                    status: 'failed',
-                    error: lastError,
-                    attempts: maxRetries
+                addresses.forEach(address => {
+                    results.failed++;
+                    results.details.push({
+                        recipientId: email.recipientId,
+                        email: address,
+                        step: email.step || 1,
+                        variant: email.templateVariant ? email.templateVariant.title : null,
+                        subject: email.subject,
+                        status: 'failed',
+                        error: lastError,
+                        campaign: email.campaign || null,
+                        sender: sender,
+                        account: account,
+                        attempts: attempts
+                    });
                 });
-                this.logger.error(`Failed to send email to ${email.to} after ${maxRetries} attempts: ${lastError}`);
+                this.logger.error(`Failed to send email to ${label} after ${attempts} attempt(s): ${lastError}`);
             }
 
             // Rate limiting - wait between emails
@@ -186,37 +732,59 @@ class EmailService {
     }
 
     async updateRecipientStatuses(recipients, emailResults) {
+        // One Sheet3 row per address
         for (const result of emailResults) {
             const recipient = recipients.find(r => r.rowIndex === result.recipientId);
             if (recipient) {
-                const status = result.status === 'sent' ? 'sent' : 'failed';
+                const outcome = result.status === 'sent' ? 'sent' : 'failed';
+                const status = result.step > 1 ? `${outcome} (step ${result.step})` : outcome;
                 try {
-                    // Log to Sheet3 with Name | Email | Status | Timestamp format
-                    await this.sheetsService.logEmailResult(
+                    await this.recipientSource.logEmailResult(
                         recipient.name,
                         result.email,
                         status,
-                        new Date().toLocaleString('vi-VN', { timeZone: 'Asia/Ho_Chi_Minh' })
+                        new Date().toLocaleString('vi-VN', { timeZone: 'Asia/Ho_Chi_Minh' }),
+                        {
+                            messageId: result.messageId,
+                            variant: result.variant,
+                            attempts: result.attempt || result.attempts,
+                            error: result.error,
+                            sender: result.sender,
+                            account: result.account,
+                            ...(result.campaign ? { campaign: result.campaign } : {})
+                        }
                     );
                     
-                    // Also update original method (though it may be commented out)
-                    await this.sheetsService.updateRecipientStatus(recipient.rowIndex, status);
-                    
-                    this.logger.info(`Logged result to Sheet3 for ${recipient.name} (${result.email}): ${status}`);
+                    this.logger.info(`Logged result to the send log for ${recipient.name} (${result.email}): ${status}`);
                 } catch (error) {
                     this.logger.warn(`Failed to log result for ${recipient.name}: ${error.message}`);
                 }
             }
         }
+
+        // One Sheet1 status per row - failed if any of its addresses failed
+        for (const recipient of recipients) {
+            const rowResults = emailResults.filter(result => result.recipientId === recipient.rowIndex);
+            if (rowResults.length === 0) {
+                continue;
+            }
+
+            const status = rowResults.every(result => result.status === 'sent') ? 'sent' : 'failed';
+            try {
+                await this.recipientSource.updateRecipientStatus(recipient.rowIndex, status);
+            } catch (error) {
+                this.logger.warn(`Failed to update status for ${recipient.name}: ${error.message}`);
+            }
+        }
     }
 
     async getEmailPreview() {
         try {
             // Get email template
-            const template = await this.sheetsService.getEmailTemplate();
+            const template = await this.recipientSource.getEmailTemplate();
             
             // Get a sample recipient for preview
-            const recipients = await this.sheetsService.getRecipientData();
+            const recipients = await this.recipientSource.getRecipientData();
             const sampleRecipient = recipients.length > 0 ? recipients[0] : {
                 name: 'Ví dụ',
                 keyword: 'từ khóa mẫu',
@@ -226,11 +794,24 @@ class EmailService {
             };
 
             // Personalize the template
-            const personalizedTemplate = this.sheetsService.personalizeContent(template, sampleRecipient);
+            const personalizedTemplate = this.recipientSource.personalizeContent(template, sampleRecipient);
+
+            // HTML exactly as it would be sent to the sample recipient
+            const message = this.gmailService.buildMessage(sampleRecipient, template, sampleRecipient.primaryEmail);
 
             return {
                 subject: personalizedTemplate.subject,
                 content: personalizedTemplate.content,
+                html: message.html,
+                text: message.text,
+                attachments: message.attachments.map(({ filename, contentType, size, cid }) => ({ filename, contentType, size, cid: cid || null })),
+                attachmentIssues: message.attachmentIssues,
+                columns: template.columns || null,
+                template: {
+                    title: template.title,
+                    selectedIndex: template.selectedIndex,
+                    totalOptions: template.totalOptions
+                },
                 recipient: sampleRecipient
             };
 
@@ -253,12 +834,14 @@ class EmailService {
 
     async validateConfiguration() {
         const issues = [];
+        const warnings = [];
+        let templateLint = null;
 
         try {
-            // Check Google Sheets connection
-            const sheetsConnected = await this.sheetsService.testConnection();
-            if (!sheetsConnected) {
-                issues.push('Google Sheets connection failed');
+            // Check the recipient source (Google Sheets or file) connection
+            const sourceConnected = await this.recipientSource.testConnection();
+            if (!sourceConnected) {
+                issues.push(`Recipient source (${this.recipientSource.name}) connection failed`);
             }
 
             // Check Gmail authentication
@@ -267,36 +850,109 @@ class EmailService {
                 issues.push('Gmail authentication failed');
             }
 
+            // Extra sender accounts that could not connect are skipped
+            const senderHealth = await this.gmailService.getSenderHealth();
+            senderHealth.filter(account => account.status === 'auth-failed' && (gmailAuth || !account.primary)).forEach(account => {
+                warnings.push(`Sender account ${account.email} is not usable (${account.lastError}) - it is left out of rotation`);
+            });
+
             // Check if we have recipients
-            const recipients = await this.sheetsService.getRecipientData();
+            const recipients = await this.recipientSource.getRecipientData();
             if (recipients.length === 0) {
-                issues.push('No recipients found in Google Sheets');
+                issues.push(`No recipients found in the recipient source (${this.recipientSource.name})`);
             }
 
+            // Sheet1 headers that couldn't be mapped (missing status column...)
+            const columns = await this.recipientSource.describeRecipientColumns();
+            warnings.push(...columns.issues.filter(issue => issue.severity === 'warning').map(issue => issue.message));
+
             // Check email template
-            const template = await this.sheetsService.getEmailTemplate();
+            const template = await this.recipientSource.getEmailTemplate();
             if (!template || !template.subject || !template.content) {
                 issues.push('Invalid or missing email template');
             }
 
+            // Lint every template variant against the recipients
+            templateLint = await this.lintTemplates(recipients);
+            if (templateLint && !templateLint.valid) {
+                const summary = this.templateLinter.summarize(templateLint);
+                (this.lintMode === 'block' ? issues : warnings).push(...summary);
+            }
+
+            // Attached files must exist and fit the size limits
+            const attachments = await this.checkAttachments(recipients);
+            issues.push(...attachments.errors);
+            warnings.push(...attachments.warnings);
+
+            // Every sequence step must map to Sheet2 templates
+            const sequence = Sequence.load();
+            issues.push(...sequence.validate(await this.recipientSource.getEmailTemplates()));
+
+            // Sender addresses must be ones the Gmail account may send as
+            const senders = await this.checkSenderAddresses();
+            issues.push(...senders.invalid.map(address => `Invalid sender or Reply-To address: ${address}`));
+            issues.push(...senders.rejected.map(address => `${address} is not a "send as" alias of any sender account`));
+            const accounts = senderHealth.map(account => account.email.toLowerCase());
+            const aliases = senders.allowed.filter(address => !accounts.includes(address));
+            if (!senders.checked && aliases.length > 0) {
+                warnings.push(`Sender aliases can't be verified without the Gmail API (${aliases.join(', ')}) - check they are set up under "Send mail as" in Gmail`);
+            }
+
         } catch (error) {
             issues.push(`Configuration validation error: ${error.message}`);
         }
 
         return {
             valid: issues.length === 0,
-            issues: issues
+            issues: issues,
+            warnings: warnings,
+            templateLint: templateLint
         };
     }
 
+    // Every sender address in use - SENDER_EMAIL, the sender accounts'
+    // "sendAs" and the template sheet's sender columns and [sender] rows -
+    // checked against the "send as" lists of the sender accounts. `invalid` holds malformed sender/Reply-To addresses.
+    async checkSenderAddresses() {
+        let templates = [];
+        try {
+            templates = await this.recipientSource.getEmailTemplates();
+        } catch (error) {
+            this.logger.warn(`Sender check: templates could not be read: ${error.message}`);
+        }
+
+        const pool = await this.gmailService.getSenderPool();
+        const identities = [
+            this.gmailService.getSenderIdentity(),
+            ...pool.accounts.filter(account => !account.primary).map(account => this.gmailService.getSenderIdentity(null, account)),
+            ...templates.filter(template => template.sender).map(template => this.gmailService.getSenderIdentity(template.sender))
+        ];
+        const invalid = [...new Set(identities
+            .flatMap(identity => [identity.email, identity.replyTo])
+            .filter(address => address && !this.gmailService.isValidEmail(address)))];
+
+        const result = await this.gmailService.verifySenderAddresses(identities
+            .map(identity => identity.email)
+            .filter(address => !invalid.includes(address)));
+        return { ...result, invalid };
+    }
+
     async getStatistics() {
         try {
-            const sheetStats = await this.sheetsService.getRecipientStats();
+            const sheetStats = await this.recipientSource.getRecipientStats();
             const gmailQuota = await this.gmailService.getQuotaInfo();
+            await this.ledger.initialize();
+            await this.suppression.initialize();
 
             return {
                 recipients: sheetStats,
                 quota: gmailQuota,
+                ledger: {
+                    sentAddresses: this.ledger.size()
+                },
+                suppression: {
+                    unsubscribedAddresses: this.suppression.size()
+                },
                 lastProcessed: this.lastProcessedTime || null
             };
 
@@ -312,9 +968,9 @@ class EmailService {
                 throw new Error('Invalid test email address');
             }
 
-            const template = await this.sheetsService.getEmailTemplate();
+            const template = await this.recipientSource.getEmailTemplate();
             const testSubject = `[TEST] ${template.subject}`;
-            const testContent = `<p><strong>This is a test email from Email Automation Tool</strong></p><hr>${this.gmailService.formatEmailContent(template.content)}`;
+            const testContent = `<p><strong>This is a test email from Email Automation Tool</strong></p><hr>${template.html || this.gmailService.formatEmailContent(template.content)}`;
 
             const result = await this.gmailService.sendEmail(
                 testEmail,
@@ -339,19 +995,228 @@ class EmailService {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    // Email queue management (for future enhancement)
-    async addToQueue(recipients) {
-        // This could be implemented with a proper queue system like Redis
-        // For now, we process emails immediately
-        return this.processEmails();
+    // Open tracking (GET /api/track/:trackingId)
+    async recordOpen(trackingId, meta = {}) {
+        try {
+            const recorded = await this.tracking.recordOpen(trackingId, meta);
+            if (recorded) {
+                this.logger.info(`Email opened: ${trackingId}`, { type: 'email_opened', trackingId });
+            }
+            return recorded;
+        } catch (error) {
+            this.logger.warn(`Failed to record open for ${trackingId}: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Click tracking (GET /r/:token) - the token is verified by the caller
+    async recordClick(trackingId, url, meta = {}) {
+        try {
+            const recorded = await this.tracking.recordClick(trackingId, url, meta);
+            if (recorded) {
+                this.logger.info(`Link clicked: ${url} (${trackingId})`, { type: 'email_clicked', trackingId, url });
+            }
+            return recorded;
+        } catch (error) {
+            this.logger.warn(`Failed to record click for ${trackingId}: ${error.message}`);
+            return false;
+        }
+    }
+
+    async getTrackingStats() {
+        await this.tracking.initialize();
+        const clicks = this.tracking.getClickStats();
+        return {
+            opens: this.tracking.getOpenStats(),
+            clicks: {
+                clicked: clicks.clicked,
+                totalClicks: clicks.totalClicks,
+                clickRate: clicks.clickRate
+            }
+        };
+    }
+
+    async getClickStats() {
+        await this.tracking.initialize();
+        return this.tracking.getClickStats();
+    }
+
+    // Opt-out from a verified unsubscribe token payload. The addresses are
+    // suppressed locally first, so the opt-out holds even when the sheet
+    // can't be written; Sheet3 gets one row per address, and the Sheet1 row
+    // is marked unsubscribed once none of its addresses can be emailed.
+    async unsubscribe(addresses, info = {}) {
+        const added = await this.suppression.add(addresses, {
+            rowIndex: info.rowIndex || null,
+            name: info.name || '',
+            source: info.source || 'link'
+        });
+
+        if (added.length === 0) {
+            return { unsubscribed: [], alreadyUnsubscribed: true };
+        }
+
+        this.logger.info(`Unsubscribed ${added.join(', ')} (${info.source || 'link'})`, { type: 'email_unsubscribed', addresses: added });
+
+        const timestamp = new Date().toLocaleString('vi-VN', { timeZone: 'Asia/Ho_Chi_Minh' });
+        for (const address of added) {
+            await this.recipientSource.logEmailResult(info.name, address, 'unsubscribed', timestamp);
+        }
+
+        if (info.rowIndex) {
+            try {
+                const recipients = await this.recipientSource.getRecipientData();
+                const row = recipients.find(recipient => recipient.rowIndex === info.rowIndex);
+                if (row && this.suppression.filter(row.allEmails).length === 0) {
+                    await this.recipientSource.updateRecipientStatus(info.rowIndex, 'unsubscribed');
+                }
+            } catch (error) {
+                this.logger.warn(`Failed to mark row ${info.rowIndex} as unsubscribed: ${error.message}`);
+            }
+        }
+
+        return { unsubscribed: added, alreadyUnsubscribed: false };
+    }
+
+    // Run a mailbox scan on every sender account's inbox. With more than one
+    // the counts are added up and the lists joined, plus `accounts`.
+    async scanMailboxes(mailboxes, scan) {
+        if (mailboxes.length <= 1) {
+            return scan(mailboxes.length === 1 ? mailboxes[0].gmail : null);
+        }
+
+        const combined = { accounts: [] };
+        for (const mailbox of mailboxes) {
+            const result = await scan(mailbox.gmail);
+            const summary = { email: mailbox.email };
+
+            Object.entries(result).forEach(([key, value]) => {
+                if (typeof value === 'number') {
+                    combined[key] = (combined[key] || 0) + value;
+                    summary[key] = value;
+                } else if (Array.isArray(value)) {
+                    combined[key] = [...(combined[key] || []), ...value];
+                }
+            });
+            combined.accounts.push(summary);
+        }
+        return combined;
+    }
+
+    // Scan the mailbox for delivery-failure notices (needs the Gmail API,
+    // i.e. OAuth2 - app passwords can only send)
+    async processBounces() {
+        if (!this.gmailService.initialized) {
+            await this.gmailService.initialize();
+        }
+
+        const mailboxes = await this.gmailService.getMailboxes();
+        return this.recipientSource.withBatchedWrites(() =>
+            this.scanMailboxes(mailboxes, gmail => this.bounceProcessor.run(gmail)));
+    }
+
+    async getBounceStats() {
+        await this.bounceProcessor.initialize();
+        return this.bounceProcessor.getStats();
+    }
+
+    // Find replies to our emails; responders are excluded from further sends
+    async processReplies() {
+        if (!this.gmailService.initialized) {
+            await this.gmailService.initialize();
+        }
+
+        const mailboxes = await this.gmailService.getMailboxes();
+        const result = await this.recipientSource.withBatchedWrites(() =>
+            this.scanMailboxes(mailboxes, gmail => this.replyProcessor.run(gmail)));
+
+        // Credit each reply to the variant of the last email the address got
+        for (const reply of result.replies || []) {
+            const steps = (this.ledger.get(reply.email) || {}).steps || [];
+            const last = steps[steps.length - 1];
+            await this.abTest.recordReply(last && last.variant, last && last.step);
+        }
+        if (result.replies && result.replies.length > 0) {
+            await this.tracking.initialize();
+            await this.abTest.evaluate(Object.values(this.tracking.messages));
+        }
+
+        return result;
+    }
+
+    async getReplyStats() {
+        await this.replyProcessor.initialize();
+        await this.ledger.initialize();
+        return this.replyProcessor.getStats();
+    }
+
+    // Email queue management
+    async addToQueue(recipients = null) {
+        if (!recipients) {
+            recipients = await this.recipientSource.getUnprocessedRecipients();
+        }
+
+        const result = await this.queue.enqueue(recipients);
+        return {
+            ...result,
+            queue: await this.getQueueStatus()
+        };
+    }
+
+    async getVariantReport() {
+        await this.abTest.initialize();
+        await this.tracking.initialize();
+        return this.abTest.getReport(Object.values(this.tracking.messages));
+    }
+
+    // How Sheet1 columns map to recipient fields and merge fields
+    async getRecipientColumns() {
+        return this.recipientSource.describeRecipientColumns();
+    }
+
+    // Sequence steps and how many sent addresses sit at each of them
+    async getSequenceStatus() {
+        const sequence = Sequence.load();
+        await this.ledger.initialize();
+        await this.suppression.initialize();
+
+        const addressesByStep = {};
+        sequence.steps.forEach(step => {
+            addressesByStep[step.step] = 0;
+        });
+
+        let stopped = 0;
+        Object.keys(this.ledger.addresses).forEach(email => {
+            if (this.suppression.has(email)) {
+                stopped++;
+                return;
+            }
+            const step = Math.min(this.ledger.get(email).step || 1, sequence.length);
+            addressesByStep[step]++;
+        });
+
+        const due = await this.findDueFollowUps(sequence);
+
+        return {
+            steps: sequence.steps,
+            addressesByStep: addressesByStep,
+            stopped: stopped,
+            dueNow: due.reduce((sum, recipient) => sum + recipient.allEmails.length, 0)
+        };
     }
 
     async getQueueStatus() {
+        await this.queue.initialize();
+        const counts = this.queue.getCounts();
+
         return {
-            pending: 0,
-            processing: this.processing ? 1 : 0,
-            completed: 0,
-            failed: 0
+            pending: counts.pending,
+            inFlight: counts['in-flight'],
+            sent: counts.sent,
+            failed: counts.failed,
+            deferred: counts.deferred,
+            cancelled: counts.cancelled,
+            processing: this.processing
         };
     }
 }
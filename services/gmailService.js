@@ -1,20 +1,48 @@
 const { google } = require('googleapis');
-const nodemailer = require('nodemailer');
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
+const TemplateEngine = require('../utils/templateEngine');
+const MarkdownRenderer = require('../utils/markdownRenderer');
+const UrlSigner = require('../utils/urlSigner');
+const AddressValidator = require('../utils/addressValidator');
+const AttachmentResolver = require('../utils/attachmentResolver');
+const SenderPool = require('./senderPool');
+const { transportType, createTransport, SmtpTransport, GmailApiTransport } = require('./transports');
 
 class GmailService {
     constructor() {
         this.gmail = null;
         this.auth = null;
-        this.transporter = null;
+        this.transporter = null; // Transport of the main account (see services/transports)
         this.initialized = false;
         this.authenticated = false;
+        this.templateEngine = new TemplateEngine();
+        this.markdownRenderer = new MarkdownRenderer();
+        this.attachmentResolver = new AttachmentResolver({ templateEngine: this.templateEngine });
+        this.senderPool = SenderPool.load();
+        this.rejectedSenders = new Set(); // Aliases no account may send as
+        this.warnedSenders = new Set();
     }
 
     async initialize() {
         try {
             console.log('Initializing Gmail service...');
+
+            // An SMTP relay, file drop or in-memory capture needs no Google
+            // authentication
+            if (!['gmail', 'gmail-api'].includes(transportType())) {
+                if (!this.getAccountEmail()) {
+                    throw new Error('MAIL_TRANSPORT=smtp needs SENDER_EMAIL (or an SMTP_USER that is an address) for the From address');
+                }
+
+                this.transporter = createTransport();
+                await this.transporter.verify();
+                this.initialized = true;
+                this.authenticated = true;
+                console.log(`Mail service initialized with the ${this.transporter.name} transport`);
+                return;
+            }
             
             // Check authentication method preference
             const authMethod = process.env.AUTH_METHOD || 'oauth2';
@@ -79,7 +107,7 @@ class GmailService {
             // Initialize Gmail API
             this.gmail = google.gmail({ version: 'v1', auth: this.auth });
 
-            // Setup Nodemailer transporter for sending emails
+            // Setup the transport for sending emails
             if (this.authenticated) {
                 await this.setupOAuth2Transporter();
             }
@@ -110,25 +138,24 @@ class GmailService {
 
     async setupOAuth2Transporter() {
         try {
+            // MAIL_TRANSPORT=gmail-api sends over HTTPS instead of SMTP
+            if (transportType() === 'gmail-api') {
+                this.transporter = new GmailApiTransport(google.gmail({ version: 'v1', auth: this.auth }));
+                await this.transporter.verify();
+                console.log('Gmail API transport verified successfully');
+                return;
+            }
+
             // Get fresh access token
             const tokenInfo = await this.auth.getAccessToken();
             
-            this.transporter = nodemailer.createTransport({
-                service: 'gmail',
-                auth: {
-                    type: 'OAuth2',
-                    user: process.env.GMAIL_USER_EMAIL,
-                    clientId: process.env.GOOGLE_CLIENT_ID,
-                    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-                    refreshToken: process.env.GOOGLE_REFRESH_TOKEN,
-                    accessToken: tokenInfo.token
-                },
-                pool: true,
-                maxConnections: 5,
-                maxMessages: 100,
-                socketTimeout: 60000,
-                connectionTimeout: 60000,
-                greetingTimeout: 30000
+            this.transporter = SmtpTransport.gmail({
+                type: 'OAuth2',
+                user: process.env.GMAIL_USER_EMAIL,
+                clientId: process.env.GOOGLE_CLIENT_ID,
+                clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+                refreshToken: process.env.GOOGLE_REFRESH_TOKEN,
+                accessToken: tokenInfo.token
             });
 
             // Verify the transporter
@@ -149,18 +176,13 @@ class GmailService {
                 throw new Error('Gmail user email or app password not configured');
             }
 
-            this.transporter = nodemailer.createTransport({
-                service: 'gmail',
-                auth: {
-                    user: process.env.GMAIL_USER_EMAIL,
-                    pass: process.env.GMAIL_APP_PASSWORD
-                },
-                pool: true,
-                maxConnections: 5,
-                maxMessages: 100,
-                socketTimeout: 60000,
-                connectionTimeout: 60000,
-                greetingTimeout: 30000
+            if (transportType() === 'gmail-api') {
+                console.warn('MAIL_TRANSPORT=gmail-api needs OAuth2 - sending over Gmail SMTP with the app password instead');
+            }
+
+            this.transporter = SmtpTransport.gmail({
+                user: process.env.GMAIL_USER_EMAIL,
+                pass: process.env.GMAIL_APP_PASSWORD
             });
 
             // Verify the transporter
@@ -179,12 +201,15 @@ class GmailService {
                 await this.initialize();
             }
 
+            // Other accounts of the sender pool may still be able to send
             if (!this.authenticated || !this.transporter) {
-                return false;
+                const pool = await this.getSenderPool();
+                return pool.accounts.some(account => account.status === 'ok');
             }
 
-            // For app password method, we're already authenticated if transporter exists
-            if (process.env.AUTH_METHOD === 'app-password') {
+            // For app password method (and transports without Google
+            // authentication), we're already authenticated if transporter exists
+            if (process.env.AUTH_METHOD === 'app-password' || !['gmail', 'gmail-api'].includes(this.transporter.name)) {
                 return true;
             }
 
@@ -238,6 +263,8 @@ class GmailService {
 
             this.authenticated = true;
             await this.setupOAuth2Transporter();
+            this.gmail = google.gmail({ version: 'v1', auth: this.auth });
+            this.senderPool.attachPrimary(this);
 
             return tokens;
         } catch (error) {
@@ -246,42 +273,120 @@ class GmailService {
         }
     }
 
-    async sendEmail(to, subject, htmlContent, textContent = null) {
-        try {
-            if (!this.authenticated) {
-                throw new Error('Gmail service not authenticated');
+    // The main account plus any extra sender accounts (see SenderPool),
+    // connected on first use
+    async getSenderPool() {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        // Refresh the main account's transporter if needed
+        if (this.authenticated && !this.transporter) {
+            if (process.env.AUTH_METHOD === 'app-password') {
+                await this.setupAppPasswordTransporter();
+            } else {
+                await this.setupOAuth2Transporter();
             }
+        }
 
-            // Refresh transporter if needed
-            if (!this.transporter) {
-                if (process.env.AUTH_METHOD === 'app-password') {
-                    await this.setupAppPasswordTransporter();
-                } else {
-                    await this.setupOAuth2Transporter();
-                }
+        await this.senderPool.initialize(this);
+        this.senderPool.attachPrimary(this);
+        return this.senderPool;
+    }
+
+    // Sends from `options.account`, else from `options.threadAccount` (the
+    // account that sent the earlier steps of a sequence, so follow-ups stay
+    // in its thread) while it can send, else from the pool account with the
+    // most daily quota left. A failure caused by the account (rate limit, quota, revoked
+    // credentials) takes it out of rotation and comes back with `errorType`
+    // set, so the caller can retry on another account; 'no-account' means
+    // none is left.
+    async sendEmail(to, subject, htmlContent, textContent = null, options = {}) {
+        let account = null;
+        let sender = null;
+
+        try {
+            const pool = await this.getSenderPool();
+            account = options.account || pool.pick(options.threadAccount);
+            if (!account) {
+                const error = new Error(pool.accounts.some(candidate => candidate.status === 'ok')
+                    ? 'No sender account available - daily limits reached or accounts paused'
+                    : 'Gmail service not authenticated');
+                error.errorType = 'no-account';
+                throw error;
             }
 
+            sender = this.getAllowedSender(this.getSenderIdentity(options.sender, account), account);
             const mailOptions = {
-                from: `"Thanh Tung Trinh" <${process.env.GMAIL_USER_EMAIL}>`,
+                from: sender.name ? { name: sender.name, address: sender.email } : sender.email,
                 to: Array.isArray(to) ? to.join(', ') : to,
                 subject: subject,
                 html: htmlContent,
                 text: textContent || this.htmlToText(htmlContent)
             };
 
-            const result = await this.transporter.sendMail(mailOptions);
+            if (sender.replyTo) {
+                mailOptions.replyTo = sender.replyTo;
+            }
+
+            if (options.bcc && options.bcc.length > 0) {
+                mailOptions.bcc = Array.isArray(options.bcc) ? options.bcc.join(', ') : options.bcc;
+            }
+
+            if (options.headers) {
+                mailOptions.headers = options.headers;
+            }
+
+            if (options.attachments && options.attachments.length > 0) {
+                mailOptions.attachments = options.attachments.map(({ filename, path: filePath, contentType, cid }) => (
+                    cid ? { filename, path: filePath, contentType, cid } : { filename, path: filePath, contentType }
+                ));
+            }
+
+            // Sequence follow-ups continue the thread of the earlier steps.
+            // Gmail thread ids only exist in the mailbox that sent the thread.
+            if (options.inReplyTo) {
+                mailOptions.inReplyTo = options.inReplyTo;
+                mailOptions.references = options.references;
+            }
+            const threadId = options.threadId && (!options.threadAccount || options.threadAccount.toLowerCase() === account.email.toLowerCase())
+                ? options.threadId
+                : null;
+
+            const result = await account.transporter.send(mailOptions, {
+                threadId,
+                metadata: { account: account.email, ...options.metadata }
+            });
+            await pool.recordSend(account);
             
             return {
                 success: true,
                 messageId: result.messageId,
-                response: result.response
+                threadId: result.threadId || null,
+                response: result.response,
+                sender: sender.email,
+                account: account.email
             };
 
         } catch (error) {
-            console.error('Failed to send email:', error);
+            if (error.errorType !== 'no-account') {
+                console.error('Failed to send email:', error);
+            }
+
+            const errorType = error.errorType || (account ? SenderPool.classifyError(error) : null);
+            if (account && errorType) {
+                await this.senderPool.markUnavailable(account, errorType, error.message);
+                if (account.primary && errorType === 'auth') {
+                    this.authenticated = false;
+                }
+            }
+
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                errorType: errorType,
+                sender: sender ? sender.email : null,
+                account: account ? account.email : null
             };
         }
     }
@@ -356,14 +461,15 @@ class GmailService {
         }
     }
 
+    // Today's sends against the daily limits of the usable pool accounts
     async getQuotaInfo() {
         try {
-            // Gmail API doesn't directly provide quota info
-            // This is a placeholder for quota monitoring
+            const accounts = (await this.getSenderHealth()).filter(account => account.status !== 'auth-failed');
             return {
-                dailyLimit: 100, // Default Gmail API limit for sending
-                sent: 0, // Would need to track this ourselves
-                remaining: 100
+                dailyLimit: accounts.reduce((sum, account) => sum + account.dailyLimit, 0),
+                sent: accounts.reduce((sum, account) => sum + account.sentToday, 0),
+                remaining: accounts.reduce((sum, account) => sum + account.remaining, 0),
+                accounts: accounts.length
             };
 
         } catch (error) {
@@ -375,29 +481,56 @@ class GmailService {
     htmlToText(html) {
         if (!html) return '';
         
-        // Simple HTML to text conversion
-        return html
+        let text = html
+            .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+            // Keep link targets: "text (url)", or just the url when they match
+            .replace(/<a\s[^>]*href=["']([^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi, (match, href, inner) => {
+                const label = inner.replace(/<[^>]*>/g, '').trim();
+                const url = href.replace(/^mailto:/i, '');
+                if (!label || label === url || label === href) {
+                    return url;
+                }
+                return `${label} (${url})`;
+            })
+            // Images with alt text become "[alt]", tracking pixels disappear
+            .replace(/<img[^>]*alt=["']([^"']+)["'][^>]*>/gi, '[$1]')
+            // Numbered lists
+            .replace(/<ol[^>]*>([\s\S]*?)<\/ol>/gi, (match, items) => {
+                let counter = 0;
+                return '\n' + items
+                    .replace(/<li[^>]*>/gi, () => `${++counter}. `)
+                    .replace(/<\/li>\s*/gi, '\n') + '\n';
+            })
+            .replace(/<li[^>]*>/gi, '- ')
+            .replace(/<\/li>\s*/gi, '\n')
+            .replace(/<hr[^>]*>/gi, '\n---\n')
             .replace(/<br\s*\/?>/gi, '\n')
-            .replace(/<\/p>/gi, '\n')
+            .replace(/<\/(p|div|h[1-6]|blockquote|ul|pre|tr)>/gi, '\n\n')
             .replace(/<[^>]*>/g, '')
             .replace(/&nbsp;/g, ' ')
-            .replace(/&amp;/g, '&')
             .replace(/&lt;/g, '<')
             .replace(/&gt;/g, '>')
             .replace(/&quot;/g, '"')
             .replace(/&#39;/g, "'")
-            .trim();
+            .replace(/&amp;/g, '&');
+
+        // Tidy whitespace: trim lines, at most one blank line in a row
+        text = text
+            .split('\n')
+            .map(line => line.trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n');
+
+        return text.trim();
     }
 
+    // Render a plain-text/Markdown body into email-safe HTML. Content that is
+    // already an HTML document/fragment is passed through untouched.
     formatEmailContent(content) {
-        // Convert plain text to HTML if needed
-        if (!content.includes('<')) {
-            return content
-                .replace(/\n/g, '<br>')
-                .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-                .replace(/\*(.*?)\*/g, '<em>$1</em>');
+        if (/^\s*<(!doctype|html|body|table|div|p)[\s>]/i.test(content || '')) {
+            return content;
         }
-        return content;
+        return this.markdownRenderer.toHtml(content);
     }
 
     delay(ms) {
@@ -406,8 +539,7 @@ class GmailService {
 
     // Email validation
     isValidEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
+        return AddressValidator.isValidSyntax(email);
     }
 
     // Rate limiting helper
@@ -428,39 +560,326 @@ class GmailService {
         this.lastSentTime = Date.now();
     }
 
-    // Template processing
-    processEmailTemplate(template, variables = {}) {
-        let processed = template;
-        
-        Object.keys(variables).forEach(key => {
-            const placeholder = new RegExp(`{{${key}}}`, 'g');
-            processed = processed.replace(placeholder, variables[key] || '');
+    // Template processing (see utils/templateEngine.js for the syntax)
+    processEmailTemplate(template, variables = {}, options = {}) {
+        return this.templateEngine.render(template, variables, options);
+    }
+
+    // Email tracking - open pixel served by GET /api/track/:trackingId
+    isTrackingEnabled() {
+        return process.env.ENABLE_EMAIL_TRACKING === 'true';
+    }
+
+    // Click tracking - links rewritten to the signed GET /r/:token redirect
+    isClickTrackingEnabled() {
+        return process.env.ENABLE_CLICK_TRACKING === 'true';
+    }
+
+    // From / Reply-To of a message: SENDER_NAME, SENDER_EMAIL (a Gmail "send
+    // as" alias, default the account itself) and REPLY_TO - or, for an extra
+    // pool account, its own name and address (or "sendAs" alias) - with the
+    // non-empty fields of `override` (a template's or campaign's sender) on top
+    getSenderIdentity(override = null, account = null) {
+        const extra = account && !account.primary;
+        const identity = {
+            name: (extra && account.name) || process.env.SENDER_NAME || '',
+            email: extra ? (account.sendAs || account.email) : (process.env.SENDER_EMAIL || this.getAccountEmail()),
+            replyTo: process.env.REPLY_TO || ''
+        };
+
+        if (override) {
+            ['name', 'email', 'replyTo'].forEach(key => {
+                if (override[key]) {
+                    identity[key] = override[key];
+                }
+            });
+        }
+        return identity;
+    }
+
+    // Address of the main account: the Gmail user, the SMTP login (when it
+    // is an address) or SENDER_EMAIL, or a placeholder for the file and
+    // memory transports
+    getAccountEmail() {
+        const type = transportType();
+        if (type === 'smtp') {
+            const login = String(process.env.SMTP_USER || '').includes('@') ? process.env.SMTP_USER : '';
+            return login || process.env.SENDER_EMAIL || '';
+        }
+        if (type === 'file' || type === 'memory') {
+            return process.env.SENDER_EMAIL || process.env.GMAIL_USER_EMAIL || 'outbox@example.com';
+        }
+        return process.env.GMAIL_USER_EMAIL || '';
+    }
+
+    // MAIL_TRANSPORT in use (gmail, gmail-api, smtp, file, memory)
+    getTransportName() {
+        return this.transporter ? this.transporter.name : transportType();
+    }
+
+    // The file or memory transport, whose captured messages the dashboard
+    // lists - null when emails are really sent
+    async getOutbox() {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+        return this.transporter && this.transporter.local ? this.transporter : null;
+    }
+
+    // Address emails go out from by default (the send log's Sender column)
+    getSenderAddress() {
+        return this.getSenderIdentity().email || null;
+    }
+
+    // Addresses `account` may send as: itself plus its verified "Send mail
+    // as" aliases. Needs the Gmail API (OAuth2); null with an app password,
+    // where Gmail can't be asked.
+    async loadSendAsAddresses(account) {
+        if (!account.gmail || account.status !== 'ok') {
+            return null;
+        }
+
+        try {
+            const response = await account.gmail.users.settings.sendAs.list({ userId: 'me' });
+            account.sendAsAddresses = new Set((response.data.sendAs || [])
+                .filter(alias => alias.isPrimary || alias.verificationStatus === 'accepted')
+                .map(alias => alias.sendAsEmail.toLowerCase()));
+            return account.sendAsAddresses;
+        } catch (error) {
+            // e.g. a refresh token issued without the gmail.readonly scope
+            console.warn(`Could not list "send as" aliases of ${account.email}:`, error.message);
+            return null;
+        }
+    }
+
+    // Check sender addresses against the "send as" lists of the pool's
+    // accounts: { checked, allowed, rejected }. An address no account may
+    // use is rejected; it is replaced by the sending account's address when
+    // sending - Gmail would do so silently anyway.
+    async verifySenderAddresses(addresses) {
+        const unique = [...new Set(addresses.filter(Boolean).map(address => address.toLowerCase()))];
+        const pool = await this.getSenderPool();
+
+        // An account's configured "sendAs" is trusted when its list can't be read
+        const lists = [];
+        const trusted = new Set();
+        for (const account of pool.accounts) {
+            const list = await this.loadSendAsAddresses(account);
+            if (list) {
+                lists.push(list);
+            } else if (account.sendAs) {
+                trusted.add(account.sendAs.toLowerCase());
+            }
+        }
+        if (lists.length === 0) {
+            return { checked: false, allowed: unique, rejected: [] };
+        }
+
+        const rejected = unique.filter(address => !pool.find(address) && !trusted.has(address) && !lists.some(list => list.has(address)));
+        rejected.forEach(address => this.rejectedSenders.add(address));
+        return { checked: true, allowed: unique.filter(address => !rejected.includes(address)), rejected };
+    }
+
+    // `identity` with its address swapped for the account's own when the
+    // account may not send as it
+    getAllowedSender(identity, account) {
+        const email = (identity.email || '').toLowerCase();
+        if (!email || !account || email === account.email.toLowerCase()) {
+            return identity;
+        }
+
+        // Without a verified list, trust the main account's configured
+        // aliases and an extra account's own "sendAs"
+        const allowed = account.sendAsAddresses
+            ? account.sendAsAddresses.has(email)
+            : (account.primary || email === String(account.sendAs || '').toLowerCase()) && !this.rejectedSenders.has(email);
+        if (allowed) {
+            return identity;
+        }
+
+        const key = `${email} ${account.email.toLowerCase()}`;
+        if (!this.warnedSenders.has(key)) {
+            console.warn(`${identity.email} is not a "send as" alias of ${account.email}, sending from the account address`);
+            this.warnedSenders.add(key);
+        }
+        return { ...identity, email: account.email };
+    }
+
+    // Inboxes to scan for bounces and replies: every pool account with the
+    // Gmail API, as [{ email, gmail }]
+    async getMailboxes() {
+        const pool = await this.getSenderPool();
+        return pool.accounts
+            .filter(account => account.status === 'ok' && account.gmail)
+            .map(account => ({ email: account.email, gmail: account.gmail }));
+    }
+
+    // Per-account sending state for /api/status
+    async getSenderHealth() {
+        const pool = await this.getSenderPool();
+        return pool.getHealth();
+    }
+
+    getCampaignName() {
+        return process.env.CAMPAIGN_NAME || 'default';
+    }
+
+    getUrlSigner() {
+        if (!this.urlSigner) {
+            this.urlSigner = new UrlSigner();
+        }
+        return this.urlSigner;
+    }
+
+    getBaseUrl() {
+        return (process.env.BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+    }
+
+    // Point every http(s) link at the click redirect. The original URL travels
+    // inside a signed token, so the redirect can't be used as an open redirect.
+    rewriteLinks(html, trackingId) {
+        const baseUrl = this.getBaseUrl();
+
+        return html.replace(/(<a\s[^>]*?href=)(["'])(https?:\/\/[^"']+)\2/gi, (match, prefix, quote, href) => {
+            const url = href.replace(/&amp;/g, '&');
+            // Our own links (tracking, unsubscribe) stay as they are
+            if (url.startsWith(baseUrl)) {
+                return match;
+            }
+
+            const token = this.getUrlSigner().sign({ m: trackingId, u: url });
+            return `${prefix}${quote}${baseUrl}/r/${token}${quote}`;
         });
-        
-        return processed;
     }
 
-    // Email tracking (basic)
-    generateTrackingPixel(recipientId) {
-        const trackingUrl = `${process.env.BASE_URL || 'http://localhost:3000'}/api/track/${recipientId}`;
+    replySubject(subject) {
+        return /^re:/i.test(subject) ? subject : `Re: ${subject}`;
+    }
+
+    // Signed opt-out link for the given addresses (GET/POST /unsubscribe)
+    getUnsubscribeUrl(recipient, addresses) {
+        const token = this.getUrlSigner().sign({
+            e: addresses,
+            r: recipient.rowIndex || null,
+            n: recipient.name || ''
+        });
+        return `${this.getBaseUrl()}/unsubscribe?token=${token}`;
+    }
+
+    // RFC 8058 one-click unsubscribe: mail clients POST to the URL directly
+    getUnsubscribeHeaders(unsubscribeUrl) {
+        return {
+            'List-Unsubscribe': `<${unsubscribeUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        };
+    }
+
+    generateTrackingPixel(trackingId) {
+        const trackingUrl = `${this.getBaseUrl()}/api/track/${trackingId}`;
         return `<img src="${trackingUrl}" width="1" height="1" style="display:none;" alt="">`;
     }
 
+    // Put a snippet at the end of the body (before </body> for full documents)
+    appendToBody(html, snippet) {
+        if (/<\/body>/i.test(html)) {
+            return html.replace(/<\/body>/i, `${snippet}</body>`);
+        }
+        return html + snippet;
+    }
+
     // Batch email preparation
-    prepareEmailBatch(recipients, template) {
-        return recipients.map(recipient => {
-            const personalizedSubject = this.processEmailTemplate(template.subject, recipient);
-            const personalizedContent = this.processEmailTemplate(template.content, recipient);
-            const htmlContent = this.formatEmailContent(personalizedContent);
-            
-            return {
-                to: recipient.allEmails || [recipient.primaryEmail],
-                subject: personalizedSubject,
-                html: htmlContent + (recipient.id ? this.generateTrackingPixel(recipient.id) : ''),
-                text: this.htmlToText(htmlContent),
-                recipientId: recipient.id || recipient.rowIndex
-            };
+    // Modes (EMAIL_SEND_MODE):
+    //   individual - one message per address, personalized for that address (default)
+    //   bcc        - one message per row, addressed to ourselves with the row's addresses in Bcc
+    prepareEmailBatch(recipients, template, mode = process.env.EMAIL_SEND_MODE || 'individual') {
+        if (mode === 'bcc') {
+            return recipients.map(recipient => {
+                const addresses = recipient.allEmails || [recipient.primaryEmail];
+                return {
+                    ...this.buildMessage(recipient, template, recipient.primaryEmail || addresses[0], addresses),
+                    to: this.getAccountEmail(),
+                    bcc: addresses
+                };
+            });
+        }
+
+        const emails = [];
+        recipients.forEach(recipient => {
+            const addresses = recipient.allEmails || [recipient.primaryEmail];
+            addresses.forEach(address => {
+                emails.push(this.buildMessage(recipient, template, address));
+            });
+        });
+        return emails;
+    }
+
+    // `addresses` are the ones the message actually reaches (several for BCC)
+    // and are what its unsubscribe link opts out
+    buildMessage(recipient, template, address, addresses = [address]) {
+        const unsubscribeUrl = this.getUnsubscribeUrl(recipient, addresses);
+        const variables = this.templateEngine.buildFields(recipient, {
+            email: address,
+            unsubscribe_url: unsubscribeUrl
         });
+        // Follow-up steps reply to the earlier messages so Gmail keeps them
+        // in one thread
+        const thread = (recipient.threads || {})[(address || '').toLowerCase()] || null;
+        const personalizedSubject = thread && thread.subject
+            ? this.replySubject(thread.subject)
+            : this.processEmailTemplate(template.subject, variables);
+        let htmlContent;
+        let textContent;
+
+        if (template.html) {
+            // Dedicated HTML body (Sheet2 column D); the plain body becomes the text part
+            htmlContent = this.processEmailTemplate(template.html, variables, { escapeHtml: true });
+            textContent = template.content
+                ? this.processEmailTemplate(template.content, variables)
+                : this.htmlToText(htmlContent);
+        } else {
+            const personalizedContent = this.processEmailTemplate(template.content, variables, { escapeHtml: true });
+            htmlContent = this.formatEmailContent(personalizedContent);
+            textContent = this.htmlToText(htmlContent);
+        }
+
+        // Files of Sheet2 column I and the cid: images of the body; problems
+        // stop the send (see EmailService.summarizeAttachmentIssues)
+        const { attachments, issues: attachmentIssues } = this.attachmentResolver.resolve(template, variables, htmlContent);
+
+        // Every message gets its own id so opens and clicks can be attributed to it
+        const trackingId = this.isTrackingEnabled() || this.isClickTrackingEnabled()
+            ? crypto.randomUUID()
+            : null;
+        if (trackingId && this.isClickTrackingEnabled()) {
+            htmlContent = this.rewriteLinks(htmlContent, trackingId);
+        }
+        if (trackingId && this.isTrackingEnabled()) {
+            htmlContent = this.appendToBody(htmlContent, this.generateTrackingPixel(trackingId));
+        }
+
+        return {
+            to: address,
+            subject: personalizedSubject,
+            html: htmlContent,
+            text: textContent,
+            recipientId: recipient.id || recipient.rowIndex,
+            trackingId: trackingId,
+            headers: this.getUnsubscribeHeaders(unsubscribeUrl),
+            attachments: attachments,
+            attachmentIssues: attachmentIssues,
+            step: recipient.step || 1,
+            inReplyTo: thread && thread.messageIds.length > 0 ? thread.messageIds[thread.messageIds.length - 1] : null,
+            references: thread ? thread.messageIds : null,
+            threadId: thread ? thread.threadId : null,
+            threadAccount: thread ? thread.account : null,
+            campaign: this.getCampaignName(),
+            sender: template.sender || null,
+            templateVariant: {
+                index: template.selectedIndex !== undefined ? template.selectedIndex : null,
+                title: template.title || null,
+                step: recipient.step || 1
+            }
+        };
     }
 }
 
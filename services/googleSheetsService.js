@@ -1,13 +1,47 @@
 const { google } = require('googleapis');
-const path = require('path');
-const fs = require('fs-extra');
-
-class GoogleSheetsService {
+const ColumnMapping = require('../utils/columnMapping');
+const LogSchema = require('../utils/logSchema');
+const RecipientSource = require('./sources/recipientSource');
+
+// Recipient source backed by a Google Sheet: Sheet1 = recipients,
+// Sheet2 = templates, Sheet3 = send log. The tab names (SHEET_RECIPIENTS,
+// SHEET_TEMPLATES, SHEET_LOG) and the ranges read from the first two
+// (SHEET_RECIPIENTS_RANGE, SHEET_TEMPLATES_RANGE) are configurable; the log
+// columns are found by header (see LogSchema). Reads are cached for a short while
+// and writes of a run are batched (see RecipientSource.withBatchedWrites) to
+// stay under the Sheets API quota.
+class GoogleSheetsService extends RecipientSource {
     constructor() {
+        super('sheets');
         this.sheets = null;
         this.auth = null;
         this.spreadsheetId = this.extractSpreadsheetId(process.env.GOOGLE_SHEET_URL);
-        this.initialized = false;
+        this.canWrite = false; // API key access is read-only
+        this.cacheTtl = parseInt(process.env.SHEETS_CACHE_TTL_SECONDS || '60') * 1000;
+        this.maxRetries = parseInt(process.env.SHEETS_MAX_RETRIES || '5');
+        this.cache = {}; // key -> { rows, expiresAt }
+        this.tabs = RecipientSource.tabNames();
+        this.recipientsRange = process.env.SHEET_RECIPIENTS_RANGE || ''; // Whole tab by default
+        this.templatesRange = process.env.SHEET_TEMPLATES_RANGE || 'A:I';
+        this.recipientsOffset = GoogleSheetsService.rangeOffset(this.recipientsRange);
+        this.logLayout = null; // Log columns, once its header was checked
+    }
+
+    // A1 notation for a range of a tab. Names are always quoted so spaces
+    // and accents ("Danh sách") work.
+    static a1(tab, range = '') {
+        const quoted = `'${tab.replace(/'/g, "''")}'`;
+        return range ? `${quoted}!${range}` : quoted;
+    }
+
+    // Rows/columns before the start of a range ("B3:K" -> 2 rows, 1 column),
+    // to turn positions in the values read back into sheet cells
+    static rangeOffset(range) {
+        const match = /^([A-Za-z]*)(\d*)/.exec(range || '');
+        return {
+            row: match[2] ? parseInt(match[2]) - 1 : 0,
+            column: match[1] ? match[1].toUpperCase().split('').reduce((n, letter) => n * 26 + letter.charCodeAt(0) - 64, 0) - 1 : 0
+        };
     }
 
     extractSpreadsheetId(url) {
@@ -38,6 +72,7 @@ class GoogleSheetsService {
                     ],
                 });
                 this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+                this.canWrite = true;
                 this.initialized = true;
                 return;
             }
@@ -53,6 +88,7 @@ class GoogleSheetsService {
                     ],
                 });
                 this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+                this.canWrite = true;
                 this.initialized = true;
                 return;
             }
@@ -71,6 +107,7 @@ class GoogleSheetsService {
                     this.auth.setCredentials({
                         refresh_token: process.env.GOOGLE_REFRESH_TOKEN
                     });
+                    this.canWrite = true;
                 }
 
                 this.sheets = google.sheets({ version: 'v4', auth: this.auth });
@@ -85,6 +122,7 @@ class GoogleSheetsService {
                     version: 'v4', 
                     auth: process.env.GOOGLE_API_KEY 
                 });
+                this.canWrite = false;
                 this.initialized = true;
                 return;
             }
@@ -104,10 +142,10 @@ class GoogleSheetsService {
             }
 
             // Try to read a small range to test connection
-            const response = await this.sheets.spreadsheets.values.get({
+            const response = await this.request(() => this.sheets.spreadsheets.values.get({
                 spreadsheetId: this.spreadsheetId,
-                range: 'Sheet1!A1:B1',
-            });
+                range: GoogleSheetsService.a1(this.tabs.recipients, 'A1:B1'),
+            }));
 
             return response.status === 200;
         } catch (error) {
@@ -116,232 +154,177 @@ class GoogleSheetsService {
         }
     }
 
-    async getRecipientData() {
-        try {
-            if (!this.initialized) {
-                await this.initialize();
-            }
-
-            // Read recipient data from Sheet1 (columns A to F + additional email columns)
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.spreadsheetId,
-                range: 'Sheet1!A:Z', // Read all columns from A to Z
-            });
-
-            const rows = response.data.values;
-            if (!rows || rows.length === 0) {
-                return [];
-            }
-
-            // First row contains headers
-            const headers = rows[0];
-            const recipients = [];
-
-            // Process each row (skip header row)
-            for (let i = 1; i < rows.length; i++) {
-                const row = rows[i];
-                
-                // Skip empty rows
-                if (!row || row.length === 0) {
-                    continue;
+    // Run a Sheets API call, retrying with exponential backoff (plus jitter,
+    // or the server's Retry-After) on quota (429) and server (5xx) errors
+    async request(call) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await call();
+            } catch (error) {
+                const status = Number((error.response && error.response.status) || error.code);
+                const retryable = status === 429 || (status >= 500 && status < 600);
+                if (!retryable || attempt >= this.maxRetries) {
+                    throw error;
                 }
 
-                const recipient = {
-                    keyword: row[0] || '', // Từ khóa (Column A)
-                    name: row[1] || '',     // Tên (Column B)
-                    address: row[2] || '',  // Địa chỉ (Column C)
-                    website: row[3] || '',  // Trang web (Column D)
-                    primaryEmail: row[4] || '', // Email chính (Column E)
-                    status: row[5] || 'new', // Trạng thái (Column F)
-                    additionalEmails: [],   // Emails từ cột G trở đi
-                    rowIndex: i + 1 // Store row index for updating status
-                };
-
-                // Extract additional emails from column G onwards
-                for (let j = 6; j < row.length; j++) {
-                    const email = row[j];
-                    if (email && this.isValidEmail(email)) {
-                        recipient.additionalEmails.push(email);
-                    }
-                }
+                const retryAfter = parseInt(error.response && error.response.headers && error.response.headers['retry-after']);
+                const wait = retryAfter > 0
+                    ? retryAfter * 1000
+                    : Math.min(Math.pow(2, attempt) * 1000, 32000) + Math.floor(Math.random() * 1000);
 
-                // Only add recipient if they have at least one valid email
-                const allEmails = [recipient.primaryEmail, ...recipient.additionalEmails]
-                    .filter(email => email && this.isValidEmail(email));
-                
-                if (allEmails.length > 0) {
-                    recipient.allEmails = allEmails;
-                    recipients.push(recipient);
-                }
+                console.warn(`Sheets API returned ${status}, retrying in ${wait}ms (${attempt + 1}/${this.maxRetries})`);
+                await new Promise(resolve => setTimeout(resolve, wait));
             }
+        }
+    }
 
-            return recipients;
+    // Reads are kept for SHEETS_CACHE_TTL_SECONDS - the dashboard, previews
+    // and runs all read the same rows
+    async cached(key, load) {
+        const entry = this.cache[key];
+        if (entry && entry.expiresAt > Date.now()) {
+            return entry.rows;
+        }
 
-        } catch (error) {
-            console.error('Error getting recipient data:', error);
-            throw new Error(`Failed to read recipient data: ${error.message}`);
+        const rows = await load();
+        if (this.cacheTtl > 0) {
+            this.cache[key] = { rows, expiresAt: Date.now() + this.cacheTtl };
         }
+        return rows;
     }
 
-    async getEmailTemplate() {
-        try {
-            if (!this.initialized) {
-                await this.initialize();
-            }
+    // Drop cached rows, e.g. after editing the sheet by hand
+    invalidateCache() {
+        this.cache = {};
+    }
 
-            // Read email template from Sheet2
-            const response = await this.sheets.spreadsheets.values.get({
+    // Read every column of the recipients tab (or SHEET_RECIPIENTS_RANGE) -
+    // they are mapped by header
+    async readRecipientRows() {
+        return this.cached('recipients', async () => {
+            const response = await this.request(() => this.sheets.spreadsheets.values.get({
                 spreadsheetId: this.spreadsheetId,
-                range: 'Sheet2!A:B', // Title in column A, Subject/Content in column B
-            });
+                range: GoogleSheetsService.a1(this.tabs.recipients, this.recipientsRange),
+            }));
 
-            const rows = response.data.values;
-            if (!rows || rows.length === 0) {
-                return {
-                    subject: 'Default Subject',
-                    content: 'Default email content'
-                };
-            }
-
-            // Filter out header row and empty rows
-            const validRows = rows.filter((row, index) => {
-                // Skip first row if it looks like a header
-                if (index === 0 && 
-                    ((row[0] || '').toLowerCase().includes('title') || 
-                     (row[0] || '').toLowerCase().includes('tiêu đề') ||
-                     (row[1] || '').toLowerCase().includes('subject'))) {
-                    return false;
-                }
-                // Keep rows that have both title and subject
-                return row && row.length >= 2 && row[0] && row[1];
-            });
+            return response.data.values || [];
+        });
+    }
 
-            if (validRows.length === 0) {
-                return {
-                    subject: 'Default Subject',
-                    content: 'Default email content'
-                };
-            }
+    async readHeaderRow() {
+        const entry = this.cache.recipients;
+        if (entry && entry.expiresAt > Date.now()) {
+            return entry.rows[0] || [];
+        }
 
-            // RANDOMLY select one row for this email
-            const randomIndex = Math.floor(Math.random() * validRows.length);
-            const selectedRow = validRows[randomIndex];
+        // The header is the first row of the configured range
+        if (this.recipientsRange) {
+            return (await this.readRecipientRows())[0] || [];
+        }
 
-            const template = {
-                title: selectedRow[0].trim(),           // Column A: Title
-                subject: selectedRow[1].trim(),         // Column B: Subject
-                content: selectedRow[1].trim(),         // Use subject as content for now
-                selectedIndex: randomIndex,
-                totalOptions: validRows.length
-            };
+        const response = await this.request(() => this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.spreadsheetId,
+            range: GoogleSheetsService.a1(this.tabs.recipients, '1:1'),
+        }));
 
-            console.log(`Email template: Selected row ${randomIndex + 1}/${validRows.length}: "${template.title}" - "${template.subject}"`);
+        return (response.data.values || [])[0] || [];
+    }
 
-            return template;
+    // Templates tab: Title | Subject | Body | HTML body | Weight | Sender name | Sender email | Reply-To
+    async readTemplateRows() {
+        return this.cached('templates', async () => {
+            const response = await this.request(() => this.sheets.spreadsheets.values.get({
+                spreadsheetId: this.spreadsheetId,
+                range: GoogleSheetsService.a1(this.tabs.templates, this.templatesRange),
+            }));
 
-        } catch (error) {
-            console.error('Error getting email template:', error);
-            throw new Error(`Failed to read email template: ${error.message}`);
-        }
+            return response.data.values || [];
+        });
     }
 
-    // NEW METHOD: Log email results to Sheet3
-    async logEmailResult(recipientName, recipientEmail, status, timestamp = null) {
+    // All status cells in one batchUpdate
+    async writeStatuses(updates) {
         try {
-            if (!this.initialized) {
-                await this.initialize();
+            await this.request(() => this.sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId: this.spreadsheetId,
+                requestBody: {
+                    valueInputOption: 'USER_ENTERED',
+                    data: updates.map(({ rowIndex, column, status }) => ({
+                        range: GoogleSheetsService.a1(this.tabs.recipients,
+                            `${ColumnMapping.columnLetter(column + this.recipientsOffset.column)}${rowIndex + this.recipientsOffset.row}`),
+                        values: [[status]]
+                    }))
+                }
+            }));
+        } catch (error) {
+            // Stop trying to write once the sheet tells us we lack permission
+            if (error.code === 401 || error.code === 403) {
+                console.warn(`No write access to ${this.tabs.recipients}, status updates disabled:`, error.message);
+                this.canWrite = false;
             }
+            throw error;
+        }
 
-            // Use current timestamp if not provided
-            const logTimestamp = timestamp || new Date().toLocaleString('vi-VN', {
-                timeZone: 'Asia/Ho_Chi_Minh',
-                year: 'numeric',
-                month: '2-digit',
-                day: '2-digit',
-                hour: '2-digit',
-                minute: '2-digit',
-                second: '2-digit'
+        // Keep cached rows in step with what was just written
+        const entry = this.cache.recipients;
+        if (entry) {
+            updates.forEach(({ rowIndex, column, status }) => {
+                const row = entry.rows[rowIndex - 1];
+                if (row) {
+                    while (row.length <= column) {
+                        row.push('');
+                    }
+                    row[column] = status;
+                }
             });
+        }
+    }
 
-            // Prepare row data: Name | Email | Status | Timestamp
-            const rowData = [
-                recipientName || 'Unknown',
-                recipientEmail || 'Unknown',
-                status || 'unknown',
-                logTimestamp
-            ];
-
-            console.log(`Logging to Sheet3: ${recipientName} (${recipientEmail}) - ${status} at ${logTimestamp}`);
+    // All log rows in one append. The log header is checked once per
+    // process: a missing one is written, an older one (e.g. just
+    // Name | Email | Status | Timestamp) gets the new columns added after its
+    // last column - rows already in the log are never moved.
+    async appendLogRows(entries) {
+        const tab = this.tabs.log;
 
-            // Check if Sheet3 exists and has headers, if not create them
+        if (!this.logLayout) {
             try {
-                const response = await this.sheets.spreadsheets.values.get({
+                const response = await this.request(() => this.sheets.spreadsheets.values.get({
                     spreadsheetId: this.spreadsheetId,
-                    range: 'Sheet3!A1:D1',
-                });
+                    range: GoogleSheetsService.a1(tab, '1:1'),
+                }));
 
-                // If no headers, add them first
-                if (!response.data.values || response.data.values.length === 0) {
-                    await this.sheets.spreadsheets.values.update({
+                const existing = (response.data.values || [])[0] || [];
+                const layout = LogSchema.resolve(existing);
+                if (layout.changed) {
+                    await this.request(() => this.sheets.spreadsheets.values.update({
                         spreadsheetId: this.spreadsheetId,
-                        range: 'Sheet3!A1:D1',
+                        range: GoogleSheetsService.a1(tab, `A1:${ColumnMapping.columnLetter(layout.headers.length - 1)}1`),
                         valueInputOption: 'USER_ENTERED',
                         requestBody: {
-                            values: [['Name', 'Email', 'Status', 'Timestamp']]
+                            values: [layout.headers]
                         }
-                    });
+                    }));
+                    if (existing.length > 0) {
+                        console.log(`Added ${layout.headers.slice(existing.length).join(', ')} to the ${tab} header`);
+                    }
                 }
+                this.logLayout = layout;
             } catch (error) {
-                console.log('Sheet3 may not exist or headers not found, will try to append anyway');
+                console.log(`${tab} may not exist or its header can't be read, will try to append anyway`);
             }
-
-            // Append the new result
-            await this.sheets.spreadsheets.values.append({
-                spreadsheetId: this.spreadsheetId,
-                range: 'Sheet3!A:D',
-                valueInputOption: 'USER_ENTERED',
-                insertDataOption: 'INSERT_ROWS',
-                requestBody: {
-                    values: [rowData]
-                }
-            });
-
-            console.log(`Successfully logged result to Sheet3`);
-            return true;
-
-        } catch (error) {
-            console.error('Error logging email result to Sheet3:', error);
-            return false;
         }
-    }
 
-    async updateRecipientStatus(rowIndex, status) {
-        try {
-            if (!this.initialized) {
-                await this.initialize();
+        const layout = this.logLayout || LogSchema.resolve([]);
+        await this.request(() => this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.spreadsheetId,
+            range: GoogleSheetsService.a1(tab, `A:${ColumnMapping.columnLetter(layout.keys.length - 1)}`),
+            valueInputOption: 'USER_ENTERED',
+            insertDataOption: 'INSERT_ROWS',
+            requestBody: {
+                values: entries.map(entry => LogSchema.row(entry, layout))
             }
-
-            // Note: This requires write permissions
-            // For now, we'll just log the update since we're using API key (read-only)
-            console.log(`Would update row ${rowIndex} status to: ${status}`);
-            
-            // If you have write permissions, uncomment the following:
-            /*
-            await this.sheets.spreadsheets.values.update({
-                spreadsheetId: this.spreadsheetId,
-                range: `Sheet1!F${rowIndex}`,
-                valueInputOption: 'USER_ENTERED',
-                requestBody: {
-                    values: [[status]]
-                }
-            });
-            */
-
-            return true;
-        } catch (error) {
-            console.error('Error updating recipient status:', error);
-            return false;
-        }
+        }));
     }
 
     async getSpreadsheetInfo() {
@@ -350,9 +333,9 @@ class GoogleSheetsService {
                 await this.initialize();
             }
 
-            const response = await this.sheets.spreadsheets.get({
+            const response = await this.request(() => this.sheets.spreadsheets.get({
                 spreadsheetId: this.spreadsheetId,
-            });
+            }));
 
             return {
                 title: response.data.properties.title,
@@ -369,83 +352,6 @@ class GoogleSheetsService {
             throw error;
         }
     }
-
-    isValidEmail(email) {
-        if (!email || typeof email !== 'string') {
-            return false;
-        }
-        
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email.trim());
-    }
-
-    // Utility method to personalize email content
-    personalizeContent(template, recipient) {
-        let personalizedSubject = template.subject;
-        let personalizedContent = template.content;
-
-        // Replace placeholders with recipient data
-        const replacements = {
-            '{{name}}': recipient.name || 'Bạn',
-            '{{keyword}}': recipient.keyword || '',
-            '{{address}}': recipient.address || '',
-            '{{website}}': recipient.website || '',
-            '{{email}}': recipient.primaryEmail || '',
-            '{{company}}': recipient.name || '', // Assuming name might be company name
-        };
-
-        Object.keys(replacements).forEach(placeholder => {
-            const value = replacements[placeholder];
-            personalizedSubject = personalizedSubject.replace(new RegExp(placeholder, 'g'), value);
-            personalizedContent = personalizedContent.replace(new RegExp(placeholder, 'g'), value);
-        });
-
-        return {
-            subject: personalizedSubject,
-            content: personalizedContent
-        };
-    }
-
-    // Get recipients that haven't been processed yet
-    async getUnprocessedRecipients() {
-        const allRecipients = await this.getRecipientData();
-        return allRecipients.filter(recipient => 
-            recipient.status !== 'sent' && 
-            recipient.status !== 'failed' && 
-            recipient.status !== 'completed'
-        );
-    }
-
-    // Get summary statistics
-    async getRecipientStats() {
-        try {
-            const allRecipients = await this.getRecipientData();
-            
-            const stats = {
-                total: allRecipients.length,
-                sent: allRecipients.filter(r => r.status === 'sent').length,
-                failed: allRecipients.filter(r => r.status === 'failed').length,
-                pending: allRecipients.filter(r => r.status === 'new' || r.status === 'pending').length,
-                totalEmails: 0
-            };
-
-            // Count total email addresses
-            allRecipients.forEach(recipient => {
-                stats.totalEmails += recipient.allEmails ? recipient.allEmails.length : 0;
-            });
-
-            return stats;
-        } catch (error) {
-            console.error('Error getting recipient stats:', error);
-            return {
-                total: 0,
-                sent: 0,
-                failed: 0,
-                pending: 0,
-                totalEmails: 0
-            };
-        }
-    }
 }
 
 module.exports = GoogleSheetsService;
\ No newline at end of file
@@ -0,0 +1,265 @@
+const JsonStore = require('../utils/jsonStore');
+
+// Finds replies to our emails in the inbox through the Gmail API. A reply is
+// matched to what we sent by its In-Reply-To/References headers, or failing
+// that by its thread, against the Message-IDs stored in the send ledger.
+// Responders are recorded (data/replies.json, ledger, Sheet3/Sheet1) and
+// suppressed so they never get another email from a campaign.
+const REPLY_QUERY = 'in:inbox -from:me -from:(mailer-daemon OR postmaster)';
+
+class ReplyProcessor {
+    constructor(logger, { ledger, suppression, recipientSource, store = null }) {
+        this.logger = logger;
+        this.ledger = ledger;
+        this.suppression = suppression;
+        this.recipientSource = recipientSource;
+        this.store = store || new JsonStore('replies.json', { processed: {}, replies: {}, lastRunAt: null });
+        this.processed = {};
+        this.replies = {};
+        this.lastRunAt = null;
+        this.loaded = false;
+        this.running = false;
+        this.lookbackDays = parseInt(process.env.REPLY_LOOKBACK_DAYS || '14');
+        this.maxMessages = parseInt(process.env.REPLY_MAX_MESSAGES || '200');
+    }
+
+    async initialize() {
+        if (this.loaded) {
+            return;
+        }
+
+        const data = await this.store.load();
+        this.processed = data.processed || {};
+        this.replies = data.replies || {};
+        this.lastRunAt = data.lastRunAt || null;
+        this.loaded = true;
+    }
+
+    // `gmail` is a googleapis Gmail client (users.messages.list/get and
+    // users.threads.get are used)
+    async run(gmail) {
+        if (!gmail) {
+            return { skipped: true, reason: 'Gmail API not available - reply detection needs OAuth2 authentication' };
+        }
+
+        if (this.running) {
+            throw new Error('Reply detection already in progress');
+        }
+
+        this.running = true;
+
+        try {
+            await this.initialize();
+            await this.ledger.initialize();
+
+            const sentMessages = this.indexSentMessages();
+            const ids = await this.listMessageIds(gmail);
+            const fresh = ids.filter(id => !this.processed[id]);
+            const result = { scanned: ids.length, processed: 0, replies: [] };
+
+            for (const id of fresh) {
+                const response = await gmail.users.messages.get({
+                    userId: 'me',
+                    id: id,
+                    format: 'metadata',
+                    metadataHeaders: ['From', 'Subject', 'Date', 'In-Reply-To', 'References']
+                });
+
+                const reply = await this.matchReply(gmail, response.data, sentMessages);
+                if (reply) {
+                    const recorded = await this.recordReply(reply);
+                    result.replies.push(...recorded);
+                }
+
+                this.processed[id] = new Date().toISOString();
+                result.processed++;
+                await this.persist();
+            }
+
+            this.lastRunAt = new Date().toISOString();
+            await this.persist();
+
+            this.logger.info(`Reply check: ${result.processed} new message(s), ${result.replies.length} new responder(s)`);
+            return result;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async listMessageIds(gmail) {
+        const ids = [];
+        let pageToken;
+
+        do {
+            const response = await gmail.users.messages.list({
+                userId: 'me',
+                q: `${REPLY_QUERY} newer_than:${this.lookbackDays}d`,
+                maxResults: Math.min(100, this.maxMessages - ids.length),
+                pageToken: pageToken
+            });
+
+            (response.data.messages || []).forEach(message => ids.push(message.id));
+            pageToken = response.data.nextPageToken;
+        } while (pageToken && ids.length < this.maxMessages);
+
+        return ids;
+    }
+
+    // Message-ID -> addresses it was sent to (several for BCC sends), over
+    // every sequence step
+    indexSentMessages() {
+        const index = {};
+
+        Object.keys(this.ledger.addresses).forEach(email => {
+            this.ledger.getThread(email).messageIds.forEach(messageId => {
+                const key = this.normalizeMessageId(messageId);
+                index[key] = index[key] || [];
+                if (!index[key].includes(email)) {
+                    index[key].push(email);
+                }
+            });
+        });
+
+        return index;
+    }
+
+    // Returns { recipients, ... } for a reply to one of our messages, or null
+    async matchReply(gmail, message, sentMessages) {
+        const headers = this.headerMap(message.payload);
+        const from = this.extractAddress(headers['from']);
+        if (!from) {
+            return null;
+        }
+
+        const referenced = `${headers['in-reply-to'] || ''} ${headers['references'] || ''}`
+            .match(/<[^>]+>/g) || [];
+        let originalId = referenced
+            .map(id => this.normalizeMessageId(id))
+            .find(id => sentMessages[id]);
+
+        // Some clients drop the reply headers - fall back to the thread, but
+        // only for senders we actually emailed to keep API calls down
+        if (!originalId && message.threadId && this.ledger.has(from)) {
+            originalId = await this.findInThread(gmail, message.threadId, sentMessages);
+        }
+
+        if (!originalId) {
+            return null;
+        }
+
+        // A colleague may answer for the person we wrote to
+        const addresses = sentMessages[originalId];
+        return {
+            recipients: addresses.includes(from) ? [from] : addresses,
+            from: from,
+            subject: headers['subject'] || '',
+            snippet: message.snippet || '',
+            repliedAt: message.internalDate ? new Date(parseInt(message.internalDate)).toISOString() : new Date().toISOString(),
+            gmailMessageId: message.id,
+            threadId: message.threadId || null,
+            originalMessageId: originalId
+        };
+    }
+
+    async findInThread(gmail, threadId, sentMessages) {
+        const response = await gmail.users.threads.get({
+            userId: 'me',
+            id: threadId,
+            format: 'metadata',
+            metadataHeaders: ['Message-ID']
+        });
+
+        const ids = (response.data.messages || [])
+            .map(message => this.normalizeMessageId(this.headerMap(message.payload)['message-id']));
+        return ids.find(id => id && sentMessages[id]) || null;
+    }
+
+    // Returns the responder records that were new
+    async recordReply(reply) {
+        const recorded = [];
+
+        for (const email of reply.recipients) {
+            if (this.replies[email]) {
+                continue;
+            }
+
+            const entry = this.ledger.get(email) || {};
+            this.replies[email] = {
+                repliedAt: reply.repliedAt,
+                from: reply.from,
+                subject: reply.subject,
+                snippet: reply.snippet,
+                gmailMessageId: reply.gmailMessageId,
+                threadId: reply.threadId,
+                originalMessageId: reply.originalMessageId,
+                rowIndex: entry.rowIndex || null,
+                name: entry.name || ''
+            };
+
+            await this.suppression.add(email, { source: 'reply', rowIndex: entry.rowIndex || null, name: entry.name || '' });
+            await this.ledger.markReplied(email, { repliedAt: reply.repliedAt, snippet: reply.snippet });
+            await this.recipientSource.logEmailResult(
+                entry.name,
+                email,
+                'replied',
+                new Date(reply.repliedAt).toLocaleString('vi-VN', { timeZone: 'Asia/Ho_Chi_Minh' }),
+                { messageId: entry.messageId, variant: entry.variant }
+            );
+            if (entry.rowIndex) {
+                await this.recipientSource.updateRecipientStatus(entry.rowIndex, 'replied');
+            }
+
+            this.logger.info(`Reply from ${reply.from} to our email to ${email}: ${reply.snippet.slice(0, 80)}`, {
+                type: 'email_replied',
+                email: email
+            });
+            recorded.push({ email, ...this.replies[email] });
+        }
+
+        return recorded;
+    }
+
+    headerMap(payload) {
+        const headers = {};
+        ((payload && payload.headers) || []).forEach(header => {
+            headers[header.name.toLowerCase()] = header.value;
+        });
+        return headers;
+    }
+
+    normalizeMessageId(id) {
+        return (id || '').trim().replace(/^<|>$/g, '').toLowerCase();
+    }
+
+    extractAddress(value) {
+        const match = (value || '').match(/[^\s<>;"]+@[^\s<>;"]+/);
+        return match ? match[0].toLowerCase() : null;
+    }
+
+    // Reply rate over every address we have sent to
+    getStats() {
+        const sentAddresses = this.ledger.size();
+        const replied = Object.keys(this.replies).length;
+
+        return {
+            lastRunAt: this.lastRunAt,
+            replied: replied,
+            replyRate: sentAddresses > 0 ? Math.round((replied / sentAddresses) * 100) : 0,
+            responders: this.replies
+        };
+    }
+
+    // Messages older than the search window can't come back, so forget them
+    persist() {
+        const cutoff = Date.now() - (this.lookbackDays + 1) * 24 * 60 * 60 * 1000;
+        Object.keys(this.processed).forEach(id => {
+            if (new Date(this.processed[id]).getTime() < cutoff) {
+                delete this.processed[id];
+            }
+        });
+
+        return this.store.save({ processed: this.processed, replies: this.replies, lastRunAt: this.lastRunAt });
+    }
+}
+
+module.exports = ReplyProcessor;
@@ -0,0 +1,325 @@
+const { google } = require('googleapis');
+const fs = require('fs-extra');
+const path = require('path');
+const JsonStore = require('../utils/jsonStore');
+const { transportType, SmtpTransport, GmailApiTransport } = require('./transports');
+
+// One Gmail account messages can go out from
+class SenderAccount {
+    constructor(config = {}) {
+        this.email = String(config.email || '').trim();
+        this.name = config.name || '';
+        this.sendAs = config.sendAs || ''; // Default From alias for this account
+        this.primary = !!config.primary;
+        this.authMethod = config.authMethod || (config.refreshToken ? 'oauth2' : 'app-password');
+        this.refreshToken = config.refreshToken || '';
+        this.appPassword = config.appPassword || '';
+        this.clientId = config.clientId || process.env.GOOGLE_CLIENT_ID;
+        this.clientSecret = config.clientSecret || process.env.GOOGLE_CLIENT_SECRET;
+        this.dailyLimit = parseInt(config.dailyLimit) || parseInt(process.env.GMAIL_DAILY_LIMIT || '500');
+
+        this.transporter = null; // see services/transports
+        this.gmail = null; // Gmail API client (OAuth2 only) for send-as checks and mailbox scans
+        this.sendAsAddresses = null;
+        this.status = 'not-connected'; // ok | auth-failed | not-connected
+        this.pausedUntil = null;
+        this.lastError = null;
+    }
+
+    async connect() {
+        try {
+            if (this.authMethod === 'oauth2') {
+                if (!this.refreshToken) {
+                    throw new Error('no refreshToken');
+                }
+
+                const auth = new google.auth.OAuth2(
+                    this.clientId,
+                    this.clientSecret,
+                    process.env.GOOGLE_REDIRECT_URI || 'urn:ietf:wg:oauth:2.0:oob'
+                );
+                auth.setCredentials({ refresh_token: this.refreshToken });
+                this.gmail = google.gmail({ version: 'v1', auth });
+
+                if (transportType() === 'gmail-api') {
+                    this.transporter = new GmailApiTransport(this.gmail);
+                } else {
+                    const tokenInfo = await auth.getAccessToken();
+                    this.transporter = SmtpTransport.gmail({
+                        type: 'OAuth2',
+                        user: this.email,
+                        clientId: this.clientId,
+                        clientSecret: this.clientSecret,
+                        refreshToken: this.refreshToken,
+                        accessToken: tokenInfo.token
+                    });
+                }
+            } else {
+                if (!this.appPassword) {
+                    throw new Error('no appPassword');
+                }
+
+                this.transporter = SmtpTransport.gmail({ user: this.email, pass: this.appPassword });
+            }
+
+            await this.transporter.verify();
+            this.status = 'ok';
+            this.lastError = null;
+        } catch (error) {
+            this.status = 'auth-failed';
+            this.lastError = error.message;
+        }
+    }
+}
+
+// The Gmail accounts emails are sent from. Always the main account from
+// .env (GMAIL_USER_EMAIL), plus any listed in SENDERS_CONFIG (default
+// config/senders.json, see config/senders.example.json):
+//
+//   { "accounts": [
+//       { "email": "sales2@gmail.com", "refreshToken": "$SALES2_REFRESH_TOKEN", "dailyLimit": 500 },
+//       { "email": "sales3@gmail.com", "appPassword": "$SALES3_APP_PASSWORD", "dailyLimit": 400 }
+//   ] }
+//
+// Values starting with "$" are read from that environment variable. Extra
+// accounts are Gmail accounts, sending over MAIL_TRANSPORT=gmail-api or
+// Gmail SMTP; with the file and memory transports they are left out so
+// nothing gets delivered. Each
+// message goes out from the account with the most of its daily limit left;
+// sends per account and day are counted in data/sender-usage.json. An
+// account that gets rate-limited is paused (for the rest of the day when
+// its daily quota is used up), one whose credentials stop working is
+// dropped until restart.
+class SenderPool {
+    constructor(accounts = [], logger = console, store = null) {
+        this.configured = accounts;
+        this.logger = logger;
+        this.store = store || new JsonStore('sender-usage.json', { days: {} });
+        this.accounts = [];
+        this.usage = {};
+        this.ready = null;
+        this.cooldownMs = parseInt(process.env.SENDER_COOLDOWN_MINUTES || '15') * 60 * 1000;
+    }
+
+    static load(logger = console, filePath = process.env.SENDERS_CONFIG || path.join(__dirname, '..', 'config', 'senders.json')) {
+        if (!fs.existsSync(filePath)) {
+            return new SenderPool([], logger);
+        }
+
+        let config;
+        try {
+            config = fs.readJsonSync(filePath);
+        } catch (error) {
+            throw new Error(`Invalid senders config ${filePath}: ${error.message}`);
+        }
+
+        if (!config || !Array.isArray(config.accounts)) {
+            throw new Error(`Invalid senders config ${filePath}: "accounts" must be an array`);
+        }
+
+        const accounts = config.accounts.map(account => {
+            const resolved = {};
+            Object.entries(account || {}).forEach(([key, value]) => {
+                resolved[key] = typeof value === 'string' && value.startsWith('$') ? process.env[value.slice(1)] : value;
+            });
+            if (!resolved.email) {
+                throw new Error(`Invalid senders config ${filePath}: every account needs an "email"`);
+            }
+            return resolved;
+        });
+
+        return new SenderPool(accounts, logger);
+    }
+
+    // Connect every account once. `primary` is the GmailService of the main
+    // account, whose transporter is reused. A failed attempt isn't kept, so
+    // the next send tries again.
+    initialize(primary) {
+        if (!this.ready) {
+            this.ready = this.connect(primary).catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    async connect(primary) {
+        const data = await this.store.load();
+        this.usage = data.days || {};
+
+        this.accounts = [];
+        const primaryEmail = primary ? primary.getAccountEmail() : process.env.GMAIL_USER_EMAIL;
+        if (primaryEmail) {
+            this.accounts.push(new SenderAccount({ email: primaryEmail, primary: true }));
+            this.attachPrimary(primary);
+        }
+
+        const local = primary && primary.transporter && primary.transporter.local;
+        if (local && this.configured.length > 0) {
+            this.logger.info(`Sender pool: ${this.configured.length} extra account(s) not used with the ${primary.transporter.name} transport`);
+        }
+
+        for (const config of local ? [] : this.configured) {
+            if (this.find(config.email)) {
+                this.logger.warn(`Sender ${config.email} is listed twice, using the first entry`);
+                continue;
+            }
+
+            const account = new SenderAccount(config);
+            await account.connect();
+            if (account.status !== 'ok') {
+                this.logger.error(`Sender ${account.email} could not connect: ${account.lastError}`);
+            }
+            this.accounts.push(account);
+        }
+
+        if (this.accounts.length > 1) {
+            this.logger.info(`Sender pool: ${this.accounts.filter(account => account.status === 'ok').length}/${this.accounts.length} account(s) ready`);
+        }
+    }
+
+    // (Re)use the main account's connection, e.g. after it was authorized
+    attachPrimary(service) {
+        const account = this.accounts.find(candidate => candidate.primary);
+        if (!account || !service) {
+            return;
+        }
+
+        account.transporter = service.transporter;
+        account.gmail = service.gmail || null;
+        if (service.transporter && !['gmail', 'gmail-api'].includes(service.transporter.name)) {
+            account.authMethod = null; // SMTP relay or local transport
+        } else {
+            account.authMethod = process.env.AUTH_METHOD === 'app-password' || !service.gmail ? 'app-password' : 'oauth2';
+        }
+        const status = service.authenticated && service.transporter ? 'ok' : 'auth-failed';
+        if (status !== account.status) {
+            account.status = status;
+            account.lastError = status === 'ok' ? null : 'Not authenticated';
+        }
+    }
+
+    find(email) {
+        const key = String(email || '').toLowerCase();
+        return this.accounts.find(account => account.email.toLowerCase() === key) || null;
+    }
+
+    size() {
+        return this.accounts.length;
+    }
+
+    today() {
+        return new Date().toLocaleDateString('en-CA', { timeZone: process.env.TIMEZONE || 'Asia/Ho_Chi_Minh' });
+    }
+
+    sentToday(account) {
+        return (this.usage[this.today()] || {})[account.email.toLowerCase()] || 0;
+    }
+
+    remaining(account) {
+        return Math.max(0, account.dailyLimit - this.sentToday(account));
+    }
+
+    isAvailable(account) {
+        return account.status === 'ok' &&
+            !!account.transporter &&
+            !(account.pausedUntil && account.pausedUntil > Date.now()) &&
+            this.remaining(account) > 0;
+    }
+
+    // `preferred` (an address) when that account can send, else the account
+    // with the most quota left (first listed on a tie), or null
+    pick(preferred = null) {
+        const account = preferred ? this.find(preferred) : null;
+        if (account && this.isAvailable(account)) {
+            return account;
+        }
+
+        return this.accounts
+            .filter(account => this.isAvailable(account))
+            .reduce((best, account) => (!best || this.remaining(account) > this.remaining(best) ? account : best), null);
+    }
+
+    async recordSend(account) {
+        const day = this.today();
+        const key = account.email.toLowerCase();
+        const days = { [day]: { ...(this.usage[day] || {}) } };
+        days[day][key] = (days[day][key] || 0) + 1;
+
+        // Only today matters for the limits
+        this.usage = days;
+        await this.store.save({ days: this.usage });
+    }
+
+    // Take an account out of rotation after `error`. `kind` comes from
+    // classifyError().
+    async markUnavailable(account, kind, error) {
+        account.lastError = error;
+
+        if (kind === 'auth') {
+            account.status = 'auth-failed';
+            this.logger.error(`Sender ${account.email} was rejected (${error}) - removed from rotation until restart`);
+        } else if (kind === 'daily-limit') {
+            // Count the day as used up
+            const day = this.today();
+            this.usage = { [day]: { ...(this.usage[day] || {}), [account.email.toLowerCase()]: account.dailyLimit } };
+            await this.store.save({ days: this.usage });
+            this.logger.warn(`Sender ${account.email} reached its daily sending quota - paused until tomorrow`);
+        } else {
+            account.pausedUntil = Date.now() + this.cooldownMs;
+            this.logger.warn(`Sender ${account.email} is rate-limited (${error}) - paused for ${Math.round(this.cooldownMs / 60000)} minute(s)`);
+        }
+    }
+
+    // 'auth', 'daily-limit' or 'rate-limit' when the error is about the
+    // account rather than the message, null otherwise
+    static classifyError(error) {
+        if (!error) {
+            return null;
+        }
+
+        const code = error.responseCode || (error.response && error.response.status) || error.code;
+        const text = `${error.message || ''} ${typeof error.response === 'string' ? error.response : ''}`;
+
+        if (code === 'EAUTH' || code === 534 || code === 535 || code === 401 ||
+            /invalid_grant|invalid_client|unauthorized_client|expired or revoked|username and password not accepted/i.test(text)) {
+            return 'auth';
+        }
+        if (/5\.4\.5|daily user sending (quota|limit)|dailyLimitExceeded/i.test(text)) {
+            return 'daily-limit';
+        }
+        if (code === 421 || code === 429 || code === 454 ||
+            /4\.7\.0|4\.7\.28|rate ?limit|userRateLimitExceeded|too many|try again later/i.test(text)) {
+            return 'rate-limit';
+        }
+        return null;
+    }
+
+    // Per-account state for /api/status
+    getHealth() {
+        return this.accounts.map(account => {
+            let status = account.status;
+            if (status === 'ok' && account.pausedUntil && account.pausedUntil > Date.now()) {
+                status = 'rate-limited';
+            } else if (status === 'ok' && this.remaining(account) === 0) {
+                status = 'quota-reached';
+            }
+
+            return {
+                email: account.email,
+                primary: account.primary,
+                authMethod: account.authMethod,
+                transport: account.transporter ? account.transporter.name : null,
+                status,
+                dailyLimit: account.dailyLimit,
+                sentToday: this.sentToday(account),
+                remaining: this.remaining(account),
+                pausedUntil: status === 'rate-limited' ? new Date(account.pausedUntil).toISOString() : null,
+                lastError: account.lastError
+            };
+        });
+    }
+}
+
+module.exports = SenderPool;
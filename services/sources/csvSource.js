@@ -0,0 +1,38 @@
+const fs = require('fs-extra');
+const Csv = require('../../utils/csv');
+const FileSource = require('./fileSource');
+
+// Recipients in a local CSV or TSV file (the delimiter follows the
+// extension, .tsv/.tab = tab). Same layout as Sheet1: a header row, then one
+// recipient per line.
+class CsvSource extends FileSource {
+    constructor(filePath, options = {}) {
+        super('csv', filePath, options);
+        this.delimiter = options.delimiter || Csv.delimiterFor(filePath);
+    }
+
+    async readRecipientRows() {
+        return Csv.parse(await fs.readFile(this.filePath, 'utf8'), this.delimiter);
+    }
+
+    async writeStatuses(updates) {
+        return this.exclusive(async () => {
+            const rows = await this.readRecipientRows();
+            updates.forEach(({ rowIndex, column, status }) => {
+                const row = rows[rowIndex - 1];
+                if (!row) {
+                    throw new Error(`Row ${rowIndex} not found in ${this.filePath}`);
+                }
+
+                while (row.length <= column) {
+                    row.push('');
+                }
+                row[column] = status;
+            });
+
+            await FileSource.writeFileAtomic(this.filePath, Csv.stringify(rows, this.delimiter));
+        });
+    }
+}
+
+module.exports = CsvSource;
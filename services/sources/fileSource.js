@@ -0,0 +1,159 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Csv = require('../../utils/csv');
+const LogSchema = require('../../utils/logSchema');
+const RecipientSource = require('./recipientSource');
+
+// Base for recipient sources backed by a local file. Statuses are written
+// back into the file itself; send results are appended to RESULTS_FILE
+// (default: "<recipients file>.results.csv" next to it), the file
+// equivalent of Sheet3 with the same columns (see LogSchema). Templates come from TEMPLATES_FILE (CSV/TSV, XLSX
+// or JSON) unless the format can carry them itself.
+class FileSource extends RecipientSource {
+    constructor(name, filePath, options = {}) {
+        super(name);
+        this.filePath = path.resolve(filePath);
+        this.templatesFile = options.templatesFile ? path.resolve(options.templatesFile) : null;
+        this.resultsFile = options.resultsFile ? path.resolve(options.resultsFile) : null;
+        this.canWrite = true;
+        this.writeChain = Promise.resolve();
+        this.logLayout = null; // Results file columns, once its header was checked
+    }
+
+    async initialize() {
+        if (!(await fs.pathExists(this.filePath))) {
+            throw new Error(`Recipients file not found: ${this.filePath}`);
+        }
+
+        if (this.templatesFile && !(await fs.pathExists(this.templatesFile))) {
+            throw new Error(`Templates file not found: ${this.templatesFile}`);
+        }
+
+        this.initialized = true;
+    }
+
+    async testConnection() {
+        try {
+            await this.ensureInitialized();
+            await this.readHeaderRow();
+            return true;
+        } catch (error) {
+            console.error(`Recipients file ${this.filePath} can't be read:`, error.message);
+            return false;
+        }
+    }
+
+    async readHeaderRow() {
+        return (await this.readRecipientRows())[0] || [];
+    }
+
+    async readTemplateRows() {
+        if (this.templatesFile) {
+            return FileSource.readTable(this.templatesFile);
+        }
+
+        const rows = await this.readEmbeddedTemplateRows();
+        if (!rows) {
+            throw new Error(`No templates for ${path.basename(this.filePath)} - set TEMPLATES_FILE`);
+        }
+        return rows;
+    }
+
+    // Templates stored in the recipients file itself, null when it has none
+    async readEmbeddedTemplateRows() {
+        return null;
+    }
+
+    getResultsFile() {
+        return this.resultsFile || this.filePath.replace(/\.[^./\\]+$/, '') + '.results.csv';
+    }
+
+    async appendLogRows(entries) {
+        const resultsFile = this.getResultsFile();
+        const delimiter = Csv.delimiterFor(resultsFile);
+
+        return this.exclusive(async () => {
+            await fs.ensureDir(path.dirname(resultsFile));
+            const exists = await fs.pathExists(resultsFile);
+
+            if (exists && this.logLayout) {
+                const rows = entries.map(entry => LogSchema.row(entry, this.logLayout));
+                await fs.appendFile(resultsFile, Csv.stringify(rows, delimiter), 'utf8');
+                return;
+            }
+
+            const existing = exists ? Csv.parse(await fs.readFile(resultsFile, 'utf8'), delimiter) : [];
+            this.logLayout = LogSchema.resolve(existing[0] || []);
+            const rows = entries.map(entry => LogSchema.row(entry, this.logLayout));
+
+            if (existing.length === 0) {
+                await fs.writeFile(resultsFile, Csv.stringify([this.logLayout.headers, ...rows], delimiter), 'utf8');
+            } else if (this.logLayout.changed) {
+                // Older results file: widen the header, earlier rows stay as they are
+                await FileSource.writeFileAtomic(resultsFile, Csv.stringify([this.logLayout.headers, ...existing.slice(1), ...rows], delimiter));
+            } else {
+                await fs.appendFile(resultsFile, Csv.stringify(rows, delimiter), 'utf8');
+            }
+        });
+    }
+
+    // Read-modify-write of the same file must not interleave (a reply check
+    // can update statuses while a send is running)
+    exclusive(task) {
+        const run = this.writeChain.catch(() => {}).then(task);
+        this.writeChain = run;
+        return run;
+    }
+
+    // Replace a file without ever leaving it half written
+    static async writeFileAtomic(filePath, contents) {
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, contents);
+        await fs.move(tempPath, filePath, { overwrite: true });
+    }
+
+    // Rows of a standalone table file, by extension
+    static async readTable(filePath) {
+        if (/\.json$/i.test(filePath)) {
+            return FileSource.templateRowsFromJson(await fs.readJson(filePath));
+        }
+
+        if (/\.xlsx$/i.test(filePath)) {
+            const XlsxSource = require('./xlsxSource');
+            return XlsxSource.readFirstWorksheet(filePath);
+        }
+
+        return Csv.parse(await fs.readFile(filePath, 'utf8'), Csv.delimiterFor(filePath));
+    }
+
+    // JSON templates: an array (or { "templates": [...] }) of rows or of
+    // { title, subject, body, html, weight, senderName, senderEmail, replyTo,
+    // attachments } objects (`attachments` a string or an array of files)
+    static templateRowsFromJson(data) {
+        const templates = Array.isArray(data) ? data : (data && data.templates) || [];
+
+        return templates.map(template => {
+            if (Array.isArray(template)) {
+                return template.map(FileSource.cellText);
+            }
+
+            return [
+                template.title,
+                template.subject,
+                template.body !== undefined ? template.body : template.content,
+                template.html,
+                template.weight,
+                template.senderName,
+                template.senderEmail,
+                template.replyTo,
+                Array.isArray(template.attachments) ? template.attachments.join('; ') : template.attachments
+            ].map(FileSource.cellText);
+        });
+    }
+
+    static cellText(value) {
+        return value === undefined || value === null ? '' : String(value);
+    }
+}
+
+module.exports = FileSource;
@@ -0,0 +1,49 @@
+const path = require('path');
+const GoogleSheetsService = require('../googleSheetsService');
+const CsvSource = require('./csvSource');
+const JsonSource = require('./jsonSource');
+const XlsxSource = require('./xlsxSource');
+const { isCapturing } = require('../transports');
+
+const FILE_SOURCES = {
+    csv: CsvSource,
+    tsv: CsvSource,
+    xlsx: XlsxSource,
+    json: JsonSource
+};
+
+// Recipient source for RECIPIENT_SOURCE (sheets, csv, tsv, xlsx or json).
+// Without it, RECIPIENTS_FILE picks a file source by its extension and
+// Google Sheets is used otherwise. With a capturing MAIL_TRANSPORT (outbox,
+// file, memory) the source is never written to.
+function createRecipientSource(env = process.env) {
+    const source = openRecipientSource(env);
+    source.writesDisabled = isCapturing(env);
+    return source;
+}
+
+function openRecipientSource(env) {
+    const file = env.RECIPIENTS_FILE;
+    const type = (env.RECIPIENT_SOURCE || (file ? path.extname(file).slice(1) : 'sheets')).toLowerCase();
+
+    if (type === 'sheets') {
+        return new GoogleSheetsService();
+    }
+
+    const Source = FILE_SOURCES[type];
+    if (!Source) {
+        throw new Error(`Unknown RECIPIENT_SOURCE "${type}" (use sheets, ${Object.keys(FILE_SOURCES).join(', ')})`);
+    }
+
+    if (!file) {
+        throw new Error(`RECIPIENT_SOURCE=${type} needs RECIPIENTS_FILE`);
+    }
+
+    return new Source(file, {
+        templatesFile: env.TEMPLATES_FILE,
+        resultsFile: env.RESULTS_FILE,
+        delimiter: type === 'tsv' ? '\t' : undefined
+    });
+}
+
+module.exports = { createRecipientSource };
@@ -0,0 +1,72 @@
+const fs = require('fs-extra');
+const FileSource = require('./fileSource');
+
+// Recipients in a local JSON file, either an array of objects or
+//
+//   { "recipients": [ { "Tên": "...", "Email": "...", "Ngành nghề": "..." } ],
+//     "templates": [ { "title": "...", "subject": "...", "body": "..." } ] }
+//
+// Object keys play the role of Sheet1 headers (same column mapping and
+// custom merge fields); `templates` is used when TEMPLATES_FILE isn't set.
+// Statuses are written back into each object.
+class JsonSource extends FileSource {
+    constructor(filePath, options = {}) {
+        super('json', filePath, options);
+    }
+
+    async load() {
+        const data = await fs.readJson(this.filePath);
+        const recipients = Array.isArray(data) ? data : (data && data.recipients);
+        if (!Array.isArray(recipients)) {
+            throw new Error(`${this.filePath} must contain an array of recipients or { "recipients": [...] }`);
+        }
+        return { data, recipients };
+    }
+
+    // Keys in first-seen order become the header row. A status key is added
+    // when there is none, so statuses can be written back.
+    async readRecipientRows() {
+        const { recipients } = await this.load();
+        const headers = [];
+
+        recipients.forEach(recipient => {
+            Object.keys(recipient || {}).forEach(key => {
+                if (!headers.includes(key)) {
+                    headers.push(key);
+                }
+            });
+        });
+
+        if (headers.length > 0 && this.columnMapping.resolve(headers).columns.status === undefined) {
+            headers.push('status');
+        }
+
+        return [
+            headers,
+            ...recipients.map(recipient => headers.map(key => FileSource.cellText((recipient || {})[key])))
+        ];
+    }
+
+    async readEmbeddedTemplateRows() {
+        const { data } = await this.load();
+        return data && Array.isArray(data.templates) ? FileSource.templateRowsFromJson(data.templates) : null;
+    }
+
+    async writeStatuses(updates) {
+        return this.exclusive(async () => {
+            const { data, recipients } = await this.load();
+            updates.forEach(({ rowIndex, column, status }) => {
+                const recipient = recipients[rowIndex - 2];
+                const key = this.recipientHeaders[column];
+                if (!recipient || !key) {
+                    throw new Error(`Row ${rowIndex} not found in ${this.filePath}`);
+                }
+
+                recipient[key] = status;
+            });
+            await FileSource.writeFileAtomic(this.filePath, JSON.stringify(data, null, 2));
+        });
+    }
+}
+
+module.exports = JsonSource;
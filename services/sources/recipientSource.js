@@ -0,0 +1,511 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const TemplateEngine = require('../../utils/templateEngine');
+const SuppressionList = require('../../utils/suppressionList');
+const ColumnMapping = require('../../utils/columnMapping');
+const AddressValidator = require('../../utils/addressValidator');
+const AttachmentResolver = require('../../utils/attachmentResolver');
+
+// Template rows that set the sender for every template of a campaign:
+// "[sender]" for all campaigns, "[sender: <CAMPAIGN_NAME>]" for one
+const SENDER_ROW = /^\[sender(?:\s*:\s*(.*?))?\]$/i;
+
+// Where recipients and templates come from, and where send results go.
+// EmailService only talks to this interface; Google Sheets and local files
+// (CSV/TSV, XLSX, JSON) implement it. Everything that doesn't depend on the
+// storage lives here, so every source reads rows, maps columns, filters
+// recipients and picks templates the same way.
+//
+// A source works with plain rows (arrays of cell strings, header first) and
+// implements:
+//   initialize()                        connect / check the file exists
+//   testConnection()                    -> boolean
+//   readRecipientRows()                 recipients table, header row included
+//   readHeaderRow()                     just the recipients header row
+//   readTemplateRows()                  templates table (Title | Subject | Body | HTML | Weight)
+//   writeStatuses(updates)              set status cells, [{ rowIndex, column, status }]
+//                                       (1-based row, 0-based column)
+//   appendLogRows(entries)              add send log rows, entries are
+//                                       { name, email, status, timestamp, messageId,
+//                                         variant, attempts, error, sender, account, campaign }
+//                                       (columns: see LogSchema)
+//   invalidateCache()                   drop cached reads (optional)
+//
+// Inside withBatchedWrites() status and log writes are buffered and written
+// in one go when the task ends, instead of one request per recipient.
+class RecipientSource {
+    constructor(name) {
+        this.name = name;
+        this.initialized = false;
+        this.canWrite = false;
+        this.writesDisabled = false; // Outbox runs: statuses and send log rows are only printed
+        this.templateEngine = new TemplateEngine();
+        this.suppressionList = new SuppressionList(console);
+        this.columnMapping = ColumnMapping.load();
+        this.addressValidator = new AddressValidator();
+        this.recipientLayout = null; // Recipient column layout from the last read
+        this.recipientHeaders = [];
+        this.writeBatches = new AsyncLocalStorage(); // Batch of the withBatchedWrites() call we run in
+    }
+
+    // Tab (worksheet) names of a spreadsheet-like source, so sheets named in
+    // another language ("Danh sách", "Mẫu email", "Nhật ký") work
+    static tabNames(env = process.env) {
+        return {
+            recipients: env.SHEET_RECIPIENTS || 'Sheet1',
+            templates: env.SHEET_TEMPLATES || 'Sheet2',
+            log: env.SHEET_LOG || 'Sheet3'
+        };
+    }
+
+    async ensureInitialized() {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+    }
+
+    // Run `task` with status and log writes buffered, then flush them. Each
+    // call has its own batch, flushed as soon as that call ends: a bounce or
+    // reply scan running during a send doesn't wait for the send (or the
+    // other way round). Nested calls share the outer batch. Flush errors are
+    // logged, not thrown - the send ledger is the record of what was sent.
+    async withBatchedWrites(task) {
+        if (this.currentBatch()) {
+            return task();
+        }
+
+        const batch = {
+            statuses: new Map(), // rowIndex -> update, last status wins
+            logEntries: [],
+            closed: false
+        };
+        try {
+            return await this.writeBatches.run(batch, task);
+        } finally {
+            batch.closed = true;
+            await this.flushWrites(batch);
+        }
+    }
+
+    // Open batch of the withBatchedWrites() call this code runs in, if any.
+    // Work a call left running after it returned writes directly.
+    currentBatch() {
+        const batch = this.writeBatches.getStore();
+        return batch && !batch.closed ? batch : null;
+    }
+
+    async flushWrites(batch) {
+        const updates = [...batch.statuses.values()];
+        const logEntries = batch.logEntries;
+
+        if (updates.length > 0) {
+            try {
+                await this.writeStatuses(updates);
+                console.log(`Updated ${updates.length} recipient status(es)`);
+            } catch (error) {
+                console.error('Error updating recipient statuses:', error);
+            }
+        }
+
+        if (logEntries.length > 0) {
+            try {
+                await this.appendLogRows(logEntries);
+                console.log(`Logged ${logEntries.length} send result(s)`);
+            } catch (error) {
+                console.error('Error logging email results:', error);
+            }
+        }
+    }
+
+    // Cached reads to drop when the data changed outside the app
+    invalidateCache() {
+    }
+
+    // Every recipient with at least one valid address, each with its
+    // `addressCheck` (see AddressValidator). `includeInvalid` also returns
+    // rows whose addresses all failed the syntax check (empty `allEmails`).
+    async getRecipientData(options = {}) {
+        try {
+            await this.ensureInitialized();
+
+            const rows = await this.readRecipientRows();
+            if (!rows || rows.length === 0) {
+                return [];
+            }
+
+            // First row contains headers
+            const layout = this.useRecipientHeaders(rows[0]);
+            const recipients = [];
+
+            // Process each row (skip header row)
+            for (let i = 1; i < rows.length; i++) {
+                const row = rows[i];
+
+                // Skip empty rows
+                if (!row || row.length === 0) {
+                    continue;
+                }
+
+                const recipient = {
+                    ...this.columnMapping.readRow(layout, row, email => this.isValidEmail(email)),
+                    rowIndex: i + 1 // Store row index for updating status
+                };
+
+                if (recipient.primaryEmail && !this.isValidEmail(recipient.primaryEmail)) {
+                    recipient.invalidEmails.unshift(recipient.primaryEmail);
+                }
+
+                // Valid addresses of the row, each once
+                const allEmails = [recipient.primaryEmail, ...recipient.additionalEmails]
+                    .filter(email => email && this.isValidEmail(email))
+                    .filter((email, index, emails) => emails.findIndex(other => other.toLowerCase() === email.toLowerCase()) === index);
+
+                // Only add recipient if they have at least one valid email
+                if (allEmails.length > 0 || (options.includeInvalid && recipient.invalidEmails.length > 0)) {
+                    recipient.allEmails = allEmails;
+                    recipients.push(recipient);
+                }
+            }
+
+            // Duplicates are judged across all rows, so check before filtering
+            this.addressValidator.checkRecipients(recipients);
+            return options.includeInvalid ? recipients : recipients.filter(recipient => recipient.allEmails.length > 0);
+
+        } catch (error) {
+            console.error('Error getting recipient data:', error);
+            throw new Error(`Failed to read recipient data: ${error.message}`);
+        }
+    }
+
+    // Resolve the column layout from the header row and remember it for
+    // status updates. Throws when no email column can be found, so a renamed
+    // header stops sends instead of silently skipping everyone.
+    useRecipientHeaders(headers = []) {
+        const layout = this.columnMapping.resolve(headers);
+        const changed = JSON.stringify(headers) !== JSON.stringify(this.recipientHeaders);
+
+        this.recipientLayout = layout;
+        this.recipientHeaders = headers;
+
+        if (changed) {
+            layout.issues
+                .filter(issue => issue.severity === 'warning')
+                .forEach(issue => console.warn(issue.message));
+        }
+
+        const error = layout.issues.find(issue => issue.severity === 'error');
+        if (error) {
+            throw new Error(error.message);
+        }
+
+        return layout;
+    }
+
+    // Column layout of the recipients, reading just the header row when it
+    // hasn't been read yet
+    async getRecipientLayout() {
+        if (this.recipientLayout) {
+            return this.recipientLayout;
+        }
+
+        await this.ensureInitialized();
+        return this.useRecipientHeaders(await this.readHeaderRow() || []);
+    }
+
+    // Field -> column mapping for the API and validation
+    async describeRecipientColumns() {
+        const layout = await this.getRecipientLayout();
+        return this.columnMapping.describe(layout, this.recipientHeaders);
+    }
+
+    // All template variants (one per valid row).
+    // Layout: A = title, B = subject, C = plain/Markdown body, D = optional HTML body,
+    // E = optional A/B weight (default 1, 0 = never picked), F:H = optional
+    // sender name, sender email ("send as" alias) and Reply-To for the template.
+    // Old sheets with only A:B keep working - the subject is used as the body.
+    // A "[sender]" / "[sender: <campaign>]" row instead of a template gives
+    // F:H for every template of the (current) campaign.
+    async getEmailTemplates() {
+        try {
+            await this.ensureInitialized();
+
+            const rows = await this.readTemplateRows();
+            if (!rows || rows.length === 0) {
+                return [];
+            }
+
+            return this.parseTemplateRows(rows);
+
+        } catch (error) {
+            console.error('Error getting email templates:', error);
+            throw new Error(`Failed to read email template: ${error.message}`);
+        }
+    }
+
+    parseTemplateRows(rows) {
+        const campaignSender = this.campaignSender(rows);
+
+        // Filter out header row, sender rows and empty rows
+        const validRows = rows.filter((row, index) => {
+            if (row && SENDER_ROW.test((row[0] || '').trim())) {
+                return false;
+            }
+            // Skip first row if it looks like a header
+            if (index === 0 &&
+                ((row[0] || '').toLowerCase().includes('title') ||
+                 (row[0] || '').toLowerCase().includes('tiêu đề') ||
+                 (row[1] || '').toLowerCase().includes('subject') ||
+                 ['body', 'content', 'nội dung'].some(label => (row[2] || '').toLowerCase().includes(label)))) {
+                return false;
+            }
+            // Keep rows that have both title and subject
+            return row && row.length >= 2 && row[0] && row[1];
+        });
+
+        return validRows.map((row, index) => {
+            const body = (row[2] || '').trim();
+            const html = (row[3] || '').trim();
+            const weight = parseFloat(String(row[4] || '').replace(',', '.'));
+            const attachments = AttachmentResolver.parseList(row[8]);
+
+            return {
+                title: row[0].trim(),           // Column A: Title
+                subject: row[1].trim(),         // Column B: Subject
+                content: body || row[1].trim(), // Column C: Body (old sheets: subject)
+                html: html || null,             // Column D: optional HTML body
+                weight: isNaN(weight) || weight < 0 ? 1 : weight, // Column E: A/B weight
+                sender: RecipientSource.mergeSender(campaignSender, RecipientSource.senderFromCells(row.slice(5, 8))), // Columns F:H
+                attachments: attachments,       // Column I: files from attachments/
+                columns: {
+                    title: 'A',
+                    subject: 'B',
+                    content: body ? 'C' : 'B',
+                    html: html ? 'D' : null,
+                    weight: row[4] ? 'E' : null,
+                    attachments: attachments.length > 0 ? 'I' : null
+                },
+                selectedIndex: index,
+                totalOptions: validRows.length
+            };
+        });
+    }
+
+    // Sender of the "[sender: <CAMPAIGN_NAME>]" row, else of the "[sender]" row
+    campaignSender(rows) {
+        const campaign = (process.env.CAMPAIGN_NAME || 'default').toLowerCase();
+        let generic = null;
+        let specific = null;
+
+        rows.forEach(row => {
+            const match = row && (row[0] || '').trim().match(SENDER_ROW);
+            if (!match) {
+                return;
+            }
+            if (!match[1]) {
+                generic = RecipientSource.senderFromCells(row.slice(5, 8));
+            } else if (match[1].toLowerCase() === campaign) {
+                specific = RecipientSource.senderFromCells(row.slice(5, 8));
+            }
+        });
+
+        return RecipientSource.mergeSender(generic, specific);
+    }
+
+    // { name, email, replyTo } from sender name | email | Reply-To cells,
+    // null when all are empty
+    static senderFromCells(cells = []) {
+        const [name, email, replyTo] = [0, 1, 2].map(index => String(cells[index] || '').trim());
+        return name || email || replyTo ? { name, email, replyTo } : null;
+    }
+
+    // `override`'s non-empty fields on top of `base`
+    static mergeSender(base, override) {
+        if (!base || !override) {
+            return base || override || null;
+        }
+
+        const sender = { ...base };
+        Object.keys(override).forEach(key => {
+            if (override[key]) {
+                sender[key] = override[key];
+            }
+        });
+        return sender;
+    }
+
+    async getEmailTemplate() {
+        return this.pickTemplate(await this.getEmailTemplates());
+    }
+
+    // Random variant out of `templates` (previews and test sends - real sends
+    // get a fixed per-recipient variant from the A/B split)
+    pickTemplate(templates) {
+        if (templates.length === 0) {
+            return {
+                subject: 'Default Subject',
+                content: 'Default email content'
+            };
+        }
+
+        // RANDOMLY select one row for this email
+        const randomIndex = Math.floor(Math.random() * templates.length);
+        const template = templates[randomIndex];
+
+        console.log(`Email template: Selected row ${randomIndex + 1}/${templates.length}: "${template.title}" - "${template.subject}"`);
+
+        return template;
+    }
+
+    // Log a send result (Sheet3 for Google Sheets). `details` fills the rest
+    // of the log columns: { messageId, variant, attempts, error, sender, account, campaign }.
+    async logEmailResult(recipientName, recipientEmail, status, timestamp = null, details = {}) {
+        try {
+            await this.ensureInitialized();
+
+            // Use current timestamp if not provided
+            const logTimestamp = timestamp || new Date().toLocaleString('vi-VN', {
+                timeZone: 'Asia/Ho_Chi_Minh',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            });
+
+            const entry = {
+                campaign: process.env.CAMPAIGN_NAME || 'default',
+                ...details,
+                name: recipientName || 'Unknown',
+                email: recipientEmail || 'Unknown',
+                status: status || 'unknown',
+                timestamp: logTimestamp
+            };
+
+            console.log(`Logging result: ${recipientName} (${recipientEmail}) - ${status} at ${logTimestamp}`);
+
+            if (this.writesDisabled) {
+                return false;
+            }
+
+            const batch = this.currentBatch();
+            if (batch) {
+                batch.logEntries.push(entry);
+                return true;
+            }
+
+            await this.appendLogRows([entry]);
+            return true;
+
+        } catch (error) {
+            console.error('Error logging email result:', error);
+            return false;
+        }
+    }
+
+    async updateRecipientStatus(rowIndex, status) {
+        try {
+            await this.ensureInitialized();
+
+            // Read-only sources (e.g. API key access) skip this - the local
+            // send ledger keeps sends idempotent in that case
+            if (!this.canWrite) {
+                console.log(`Recipient source is read-only, skipping status update for row ${rowIndex} (${status})`);
+                return false;
+            }
+            if (this.writesDisabled) {
+                console.log(`Outbox run, leaving the status of row ${rowIndex} unchanged (${status})`);
+                return false;
+            }
+
+            const layout = await this.getRecipientLayout();
+            if (layout.columns.status === undefined) {
+                console.log(`Recipients have no status column, skipping status update for row ${rowIndex} (${status})`);
+                return false;
+            }
+
+            const update = { rowIndex, column: layout.columns.status, status };
+            const batch = this.currentBatch();
+            if (batch) {
+                batch.statuses.set(rowIndex, update);
+                return true;
+            }
+
+            await this.writeStatuses([update]);
+
+            console.log(`Updated recipient row ${rowIndex} status to: ${status}`);
+            return true;
+        } catch (error) {
+            console.error('Error updating recipient status:', error);
+            return false;
+        }
+    }
+
+    isValidEmail(email) {
+        return AddressValidator.isValidSyntax(email);
+    }
+
+    // Utility method to personalize email content - same engine and merge
+    // fields as GmailService uses when sending
+    personalizeContent(template, recipient) {
+        const fields = this.templateEngine.buildFields(recipient);
+
+        return {
+            subject: this.templateEngine.render(template.subject, fields),
+            content: this.templateEngine.render(template.content, fields)
+        };
+    }
+
+    // Get recipients that haven't been processed yet. Unsubscribed addresses
+    // are always dropped, whatever the status column says (it may be read-only).
+    async getUnprocessedRecipients() {
+        const allRecipients = await this.getRecipientData();
+        await this.suppressionList.initialize();
+
+        return allRecipients
+            .filter(recipient =>
+                recipient.status !== 'sent' &&
+                recipient.status !== 'failed' &&
+                recipient.status !== 'completed' &&
+                recipient.status !== 'unsubscribed' &&
+                recipient.status !== 'replied'
+            )
+            .map(recipient => ({
+                ...recipient,
+                allEmails: this.suppressionList.filter(recipient.allEmails)
+            }))
+            .filter(recipient => recipient.allEmails.length > 0);
+    }
+
+    // Get summary statistics
+    async getRecipientStats() {
+        try {
+            const allRecipients = await this.getRecipientData();
+
+            const stats = {
+                total: allRecipients.length,
+                sent: allRecipients.filter(r => r.status === 'sent').length,
+                failed: allRecipients.filter(r => r.status === 'failed').length,
+                pending: allRecipients.filter(r => r.status === 'new' || r.status === 'pending').length,
+                totalEmails: 0
+            };
+
+            // Count total email addresses
+            allRecipients.forEach(recipient => {
+                stats.totalEmails += recipient.allEmails ? recipient.allEmails.length : 0;
+            });
+
+            return stats;
+        } catch (error) {
+            console.error('Error getting recipient stats:', error);
+            return {
+                total: 0,
+                sent: 0,
+                failed: 0,
+                pending: 0,
+                totalEmails: 0
+            };
+        }
+    }
+}
+
+module.exports = RecipientSource;
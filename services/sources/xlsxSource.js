@@ -0,0 +1,107 @@
+const ExcelJS = require('exceljs');
+const LogSchema = require('../../utils/logSchema');
+const RecipientSource = require('./recipientSource');
+const FileSource = require('./fileSource');
+
+// Recipients in a local Excel workbook laid out like the Google Sheet:
+// worksheet "Sheet1" (or the first one) = recipients, "Sheet2" (or the
+// second) = templates, "Sheet3" = send log, created when missing - with the
+// same SHEET_RECIPIENTS / SHEET_TEMPLATES / SHEET_LOG names. Statuses and
+// results are saved into the workbook, so keep it closed in Excel while a
+// campaign runs. TEMPLATES_FILE / RESULTS_FILE override the worksheets.
+class XlsxSource extends FileSource {
+    constructor(filePath, options = {}) {
+        super('xlsx', filePath, options);
+        this.tabs = RecipientSource.tabNames();
+    }
+
+    async loadWorkbook() {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(this.filePath);
+        return workbook;
+    }
+
+    async saveWorkbook(workbook) {
+        await FileSource.writeFileAtomic(this.filePath, await workbook.xlsx.writeBuffer());
+    }
+
+    static worksheet(workbook, name, position) {
+        return workbook.getWorksheet(name) || workbook.worksheets[position] || null;
+    }
+
+    // Cell text by row, trailing empty cells dropped like the Sheets API does
+    static worksheetRows(worksheet) {
+        const rows = [];
+        if (!worksheet) {
+            return rows;
+        }
+
+        for (let r = 1; r <= worksheet.rowCount; r++) {
+            const row = worksheet.getRow(r);
+            const cells = [];
+            for (let c = 1; c <= row.cellCount; c++) {
+                cells.push(String(row.getCell(c).text || '').trim());
+            }
+            while (cells.length > 0 && cells[cells.length - 1] === '') {
+                cells.pop();
+            }
+            rows.push(cells);
+        }
+
+        return rows;
+    }
+
+    static async readFirstWorksheet(filePath) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(filePath);
+        return XlsxSource.worksheetRows(workbook.worksheets[0]);
+    }
+
+    async readRecipientRows() {
+        const workbook = await this.loadWorkbook();
+        return XlsxSource.worksheetRows(XlsxSource.worksheet(workbook, this.tabs.recipients, 0));
+    }
+
+    async readEmbeddedTemplateRows() {
+        const workbook = await this.loadWorkbook();
+        const worksheet = XlsxSource.worksheet(workbook, this.tabs.templates, 1);
+        return worksheet ? XlsxSource.worksheetRows(worksheet) : null;
+    }
+
+    async writeStatuses(updates) {
+        return this.exclusive(async () => {
+            const workbook = await this.loadWorkbook();
+            const worksheet = XlsxSource.worksheet(workbook, this.tabs.recipients, 0);
+            updates.forEach(({ rowIndex, column, status }) => {
+                worksheet.getCell(rowIndex, column + 1).value = status;
+            });
+            await this.saveWorkbook(workbook);
+        });
+    }
+
+    async appendLogRows(entries) {
+        if (this.resultsFile) {
+            return super.appendLogRows(entries);
+        }
+
+        return this.exclusive(async () => {
+            const workbook = await this.loadWorkbook();
+            let log = workbook.getWorksheet(this.tabs.log);
+            if (!log) {
+                log = workbook.addWorksheet(this.tabs.log);
+            }
+
+            // Header found by name; an older log gets the missing columns added
+            const layout = LogSchema.resolve(log.rowCount > 0 ? XlsxSource.worksheetRows(log)[0] : []);
+            if (layout.changed) {
+                layout.headers.forEach((header, index) => {
+                    log.getCell(1, index + 1).value = header;
+                });
+            }
+            log.addRows(entries.map(entry => LogSchema.row(entry, layout)));
+            await this.saveWorkbook(workbook);
+        });
+    }
+}
+
+module.exports = XlsxSource;
@@ -0,0 +1,93 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Transport = require('./transport');
+
+// Outbox on disk: writes every message to a directory instead of sending
+// it, as <id>.eml (openable in any mail client) plus <id>.json with the
+// addresses, headers, bodies and campaign details for the dashboard.
+// MAIL_DROP_DIR, default data/mail-drop.
+class FileTransport extends Transport {
+    constructor(dir) {
+        super('file', true);
+        this.dir = dir;
+    }
+
+    static fromEnv(env = process.env) {
+        return new FileTransport(env.MAIL_DROP_DIR || path.join(env.DATA_DIR || path.join(__dirname, '..', '..', 'data'), 'mail-drop'));
+    }
+
+    async verify() {
+        await fs.ensureDir(this.dir);
+        return true;
+    }
+
+    async send(mail, options = {}) {
+        const composed = await Transport.compose(mail);
+        const id = Transport.captureId(composed.messageId);
+        const emlPath = path.join(this.dir, `${id}.eml`);
+
+        await fs.ensureDir(this.dir);
+        await fs.writeFile(emlPath, composed.raw);
+        await fs.writeJson(path.join(this.dir, `${id}.json`), Transport.capture(id, mail, composed, options), { spaces: 2 });
+
+        return { messageId: composed.messageId, response: `Saved to ${emlPath}`, threadId: null };
+    }
+
+    // Messages with a .json file (.eml files dropped by hand are not listed)
+    async list(limit = 200) {
+        if (!(await fs.pathExists(this.dir))) {
+            return [];
+        }
+
+        const ids = (await fs.readdir(this.dir))
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length))
+            .sort()
+            .reverse()
+            .slice(0, limit);
+
+        const messages = [];
+        for (const id of ids) {
+            const message = await this.get(id);
+            if (message) {
+                messages.push(Transport.summary(message));
+            }
+        }
+        return messages;
+    }
+
+    async get(id) {
+        if (!Transport.isCaptureId(id)) {
+            return null;
+        }
+
+        try {
+            return await fs.readJson(path.join(this.dir, `${id}.json`));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async raw(id) {
+        const filePath = path.join(this.dir, `${id}.eml`);
+        if (!Transport.isCaptureId(id) || !(await fs.pathExists(filePath))) {
+            return null;
+        }
+        return fs.readFile(filePath, 'utf8');
+    }
+
+    // Remove the captured messages (only our .eml/.json files)
+    async clear() {
+        if (!(await fs.pathExists(this.dir))) {
+            return 0;
+        }
+
+        const files = (await fs.readdir(this.dir)).filter(file => /\.(eml|json)$/.test(file));
+        for (const file of files) {
+            await fs.remove(path.join(this.dir, file));
+        }
+        return files.filter(file => file.endsWith('.eml')).length;
+    }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,36 @@
+const Transport = require('./transport');
+
+// Sends through the Gmail REST API (users.messages.send) instead of SMTP:
+// works where outgoing SMTP ports are blocked, and returns the Gmail thread
+// id so follow-ups can be added to the same thread in the Sent folder.
+// Needs OAuth2 with the gmail.send scope.
+class GmailApiTransport extends Transport {
+    constructor(gmail) {
+        super('gmail-api');
+        this.gmail = gmail;
+    }
+
+    async verify() {
+        await this.gmail.users.getProfile({ userId: 'me' });
+        return true;
+    }
+
+    async send(mail, options = {}) {
+        const { raw, messageId } = await Transport.compose(mail);
+        const response = await this.gmail.users.messages.send({
+            userId: 'me',
+            requestBody: {
+                raw: raw.toString('base64url'),
+                ...(options.threadId ? { threadId: options.threadId } : {})
+            }
+        });
+
+        return {
+            messageId,
+            response: `Gmail API message ${response.data.id}`,
+            threadId: response.data.threadId || null
+        };
+    }
+}
+
+module.exports = GmailApiTransport;
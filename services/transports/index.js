@@ -0,0 +1,22 @@
+const SmtpTransport = require('./smtpTransport');
+const GmailApiTransport = require('./gmailApiTransport');
+const FileTransport = require('./fileTransport');
+const MemoryTransport = require('./memoryTransport');
+const { transportType, isCapturing } = require('../../utils/mailTransport');
+
+// Transport for MAIL_TRANSPORT=smtp, file or memory
+function createTransport(env = process.env) {
+    const type = transportType(env);
+    if (type === 'smtp') {
+        return SmtpTransport.fromEnv(env);
+    }
+    if (type === 'file') {
+        return FileTransport.fromEnv(env);
+    }
+    if (type === 'memory') {
+        return MemoryTransport.fromEnv(env);
+    }
+    throw new Error(`MAIL_TRANSPORT=${type} is set up with the Gmail authentication`);
+}
+
+module.exports = { transportType, isCapturing, createTransport, SmtpTransport, GmailApiTransport, FileTransport, MemoryTransport };
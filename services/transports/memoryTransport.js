@@ -0,0 +1,58 @@
+const Transport = require('./transport');
+
+// Keeps sent messages in memory (`messages`, newest last) instead of sending
+// them - for tests and dry runs. Only the last MAIL_CAPTURE_LIMIT (default
+// 500) are kept. Each entry is a capture() record plus the `raw` .eml text.
+class MemoryTransport extends Transport {
+    constructor(limit = 500) {
+        super('memory', true);
+        this.limit = limit;
+        this.messages = [];
+    }
+
+    static fromEnv(env = process.env) {
+        return new MemoryTransport(parseInt(env.MAIL_CAPTURE_LIMIT || '500'));
+    }
+
+    async send(mail, options = {}) {
+        const composed = await Transport.compose(mail);
+        const id = Transport.captureId(composed.messageId);
+
+        this.messages.push({
+            ...Transport.capture(id, mail, composed, options),
+            raw: composed.raw.toString('utf8')
+        });
+        if (this.messages.length > this.limit) {
+            this.messages.splice(0, this.messages.length - this.limit);
+        }
+
+        return { messageId: composed.messageId, response: 'Captured in memory', threadId: null };
+    }
+
+    async list(limit = 200) {
+        return this.messages.slice(-limit).reverse().map(message => Transport.summary(message));
+    }
+
+    async get(id) {
+        const message = this.messages.find(candidate => candidate.id === id);
+        if (!message) {
+            return null;
+        }
+
+        const { raw, ...record } = message;
+        return record;
+    }
+
+    async raw(id) {
+        const message = this.messages.find(candidate => candidate.id === id);
+        return message ? message.raw : null;
+    }
+
+    async clear() {
+        const count = this.messages.length;
+        this.messages = [];
+        return count;
+    }
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,61 @@
+const nodemailer = require('nodemailer');
+const Transport = require('./transport');
+
+const POOL_OPTIONS = {
+    pool: true,
+    maxConnections: 5,
+    maxMessages: 100,
+    socketTimeout: 60000,
+    connectionTimeout: 60000,
+    greetingTimeout: 30000
+};
+
+// Any SMTP server: Gmail (the default, with OAuth2 or an app password),
+// Zoho, Outlook, a company relay or a local stand-in such as MailHog
+class SmtpTransport extends Transport {
+    constructor(options, name = 'smtp') {
+        super(name);
+        this.transporter = nodemailer.createTransport({ ...POOL_OPTIONS, ...options });
+    }
+
+    // Gmail's SMTP server, `auth` being nodemailer OAuth2 or user/pass auth
+    static gmail(auth) {
+        return new SmtpTransport({ service: 'gmail', auth }, 'gmail');
+    }
+
+    // SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE (TLS from the start,
+    // default only on port 465 - otherwise STARTTLS when offered),
+    // SMTP_REQUIRE_TLS, SMTP_IGNORE_TLS, SMTP_USER / SMTP_PASS and
+    // SMTP_TLS_REJECT_UNAUTHORIZED=false for self-signed certificates
+    static fromEnv(env = process.env) {
+        if (!env.SMTP_HOST) {
+            throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+        }
+
+        const port = parseInt(env.SMTP_PORT || '587');
+        return new SmtpTransport({
+            host: env.SMTP_HOST,
+            port: port,
+            secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+            requireTLS: env.SMTP_REQUIRE_TLS === 'true',
+            ignoreTLS: env.SMTP_IGNORE_TLS === 'true',
+            auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+            tls: { rejectUnauthorized: env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false' }
+        });
+    }
+
+    async verify() {
+        return this.transporter.verify();
+    }
+
+    async send(mail) {
+        const info = await this.transporter.sendMail(mail);
+        return { messageId: info.messageId, response: info.response, threadId: null };
+    }
+
+    close() {
+        this.transporter.close();
+    }
+}
+
+module.exports = SmtpTransport;
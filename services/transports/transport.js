@@ -0,0 +1,115 @@
+const nodemailer = require('nodemailer');
+
+// How a composed email leaves the app. GmailService builds nodemailer
+// message options ({ from, to, subject, html, text, replyTo, bcc, headers,
+// inReplyTo, references }) and hands them to a transport, so the provider
+// can change without touching the sending code. A transport implements:
+//   verify()                 check the connection / credentials, throws when unusable
+//   send(mail, options)      -> { messageId, response, threadId }
+//                            options: { threadId } (Gmail API only), { metadata }
+//                            (campaign, step, variant... of the message)
+//   close()                  release pooled connections (optional)
+//
+// `local` transports (file, memory) deliver nowhere - nothing leaves the
+// machine, so they are safe for development and tests. They also keep what
+// was "sent" as an outbox:
+//   list(limit)              -> summaries of captured messages, newest first
+//   get(id)                  -> one message (see capture()), or null
+//   raw(id)                  -> its .eml text, or null
+//   clear()
+class Transport {
+    constructor(name, local = false) {
+        this.name = name;
+        this.local = local;
+    }
+
+    async verify() {
+        return true;
+    }
+
+    async send() {
+        throw new Error(`${this.name} transport does not implement send()`);
+    }
+
+    close() {}
+
+    // The message as RFC 5322 text (Bcc kept) with its generated Message-ID
+    static async compose(mail) {
+        if (!Transport.composer) {
+            Transport.composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'windows' });
+        }
+
+        const info = await Transport.composer.sendMail(mail);
+        return { raw: info.message, messageId: info.messageId, envelope: info.envelope };
+    }
+
+    // Outbox id of a message: sortable by time, unique by Message-ID
+    static captureId(messageId) {
+        const id = messageId.replace(/^<|@.*$/g, '').replace(/[^A-Za-z0-9-]/g, '');
+        return `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}`;
+    }
+
+    static isCaptureId(id) {
+        return /^[A-Za-z0-9-]+$/.test(String(id || ''));
+    }
+
+    // What an outbox keeps of a message besides the .eml: the addresses,
+    // the header lines as composed (unfolded, values still MIME-encoded),
+    // the HTML and plain text bodies and the attached files
+    static capture(id, mail, composed, options = {}) {
+        const address = value => {
+            if (!value) {
+                return null;
+            }
+            if (Array.isArray(value)) {
+                return value.map(address).join(', ');
+            }
+            return typeof value === 'object' ? (value.name ? `${value.name} <${value.address}>` : value.address) : String(value);
+        };
+
+        const head = composed.raw.toString('utf8').split(/\r?\n\r?\n/)[0];
+        const headers = head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).map(line => {
+            const colon = line.indexOf(':');
+            return { name: line.slice(0, colon), value: line.slice(colon + 1).trim() };
+        });
+
+        return {
+            id,
+            messageId: composed.messageId,
+            date: new Date().toISOString(),
+            from: address(mail.from),
+            to: address(mail.to),
+            bcc: address(mail.bcc),
+            replyTo: address(mail.replyTo),
+            subject: mail.subject || '',
+            threadId: options.threadId || null,
+            envelope: composed.envelope,
+            size: composed.raw.length,
+            metadata: options.metadata || {},
+            headers,
+            html: mail.html || null,
+            text: mail.text || null,
+            attachments: (mail.attachments || []).map(attachment => ({
+                filename: attachment.filename || null,
+                contentType: attachment.contentType || null,
+                cid: attachment.cid || null
+            }))
+        };
+    }
+
+    // List entry of a captured message
+    static summary(message) {
+        return {
+            id: message.id,
+            date: message.date,
+            from: message.from,
+            to: message.to,
+            bcc: message.bcc,
+            subject: message.subject,
+            size: message.size,
+            metadata: message.metadata
+        };
+    }
+}
+
+module.exports = Transport;
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AbTest = require('../utils/abTest');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// JsonStore stand-in kept in memory
+function memoryStore(initial = {}) {
+    return {
+        data: JSON.parse(JSON.stringify(initial)),
+        async load() {
+            return JSON.parse(JSON.stringify(this.data));
+        },
+        async save(data) {
+            this.data = JSON.parse(JSON.stringify(data));
+        }
+    };
+}
+
+function sends(title, step, count, status = 'sent') {
+    return Array.from({ length: count }, () => ({ variant: title, step, status }));
+}
+
+test('keeps a title reused across sequence steps apart', async () => {
+    const abTest = new AbTest(logger, memoryStore({ variants: {}, promoted: {} }));
+    await abTest.recordResults([...sends('A', 1, 3), ...sends('A', 2, 2), ...sends('A', 2, 1, 'failed')]);
+    await abTest.recordReply('A', 2);
+
+    const report = abTest.getReport([
+        { variant: { title: 'A', step: 2 }, opens: { count: 1 }, clicks: { count: 0 } },
+        { variant: { title: 'A' }, opens: { count: 0 }, clicks: { count: 2 } }
+    ]);
+    assert.deepStrictEqual(report.variants.map(variant => [variant.step, variant.title, variant.sent, variant.failed, variant.replied, variant.opened, variant.clicked]), [
+        [1, 'A', 3, 0, 0, 0, 1],
+        [2, 'A', 2, 1, 1, 1, 0]
+    ]);
+});
+
+test('promotes by comparing the variants of one step only', async () => {
+    const abTest = new AbTest(logger, memoryStore({ variants: {}, promoted: {} }));
+    abTest.autoPromote = true;
+    abTest.minSample = 2;
+    await abTest.recordResults([...sends('A', 1, 2), ...sends('B', 1, 2), ...sends('A', 2, 2)]);
+    await abTest.recordReply('A', 2);
+    await abTest.recordReply('A', 2);
+
+    assert.deepStrictEqual(await abTest.evaluate(), {}, 'replies to step 2 do not decide step 1');
+
+    await abTest.recordReply('B', 1);
+    assert.deepStrictEqual(await abTest.evaluate(), { 1: 'B' });
+});
+
+test('reads variants saved under their title alone', async () => {
+    const store = memoryStore({ variants: { A: { step: 2, sent: 4, failed: 0, replied: 1 } }, promoted: {} });
+    const abTest = new AbTest(logger, store);
+    await abTest.recordResults(sends('A', 2, 1));
+
+    assert.deepStrictEqual(store.data.variants, { '2:A': { title: 'A', step: 2, sent: 5, failed: 0, replied: 1 } });
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AddressValidator = require('../utils/addressValidator');
+
+test('real providers close to a popular domain are not typos', () => {
+    const validator = new AddressValidator({ disposableDomains: [] });
+
+    ['x@email.com', 'x@mail.com', 'x@protonmail.ch', 'x@yahoo.com.au', 'x@yahoo.com.sg'].forEach(email => {
+        const result = validator.check(email);
+        assert.strictEqual(result.verdict, 'valid', email);
+        assert.strictEqual(result.suggestion, null, email);
+    });
+});
+
+test('typos of popular domains are still flagged', () => {
+    const validator = new AddressValidator({ disposableDomains: [] });
+
+    assert.deepStrictEqual(
+        ['x@gmaik.com', 'x@gmial.com', 'x@hotmial.com', 'x@yahoo.com.vb'].map(email => [validator.check(email).verdict, validator.check(email).suggestion]),
+        [['risky', 'x@gmail.com'], ['risky', 'x@gmail.com'], ['risky', 'x@hotmail.com'], ['risky', 'x@yahoo.com.vn']]
+    );
+});
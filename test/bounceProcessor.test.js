@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BounceProcessor = require('../services/bounceProcessor');
+const SendLedger = require('../utils/sendLedger');
+const SuppressionList = require('../utils/suppressionList');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// JsonStore stand-in kept in memory
+function memoryStore(initial = {}) {
+    return {
+        data: JSON.parse(JSON.stringify(initial)),
+        async load() {
+            return JSON.parse(JSON.stringify(this.data));
+        },
+        async save(data) {
+            this.data = JSON.parse(JSON.stringify(data));
+        }
+    };
+}
+
+function dsn(recipients, { failed = null } = {}) {
+    const lines = [
+        'From: Mail Delivery Subsystem <mailer-daemon@googlemail.com>',
+        'Subject: Delivery Status Notification (Failure)',
+        ...(failed ? [`X-Failed-Recipients: ${failed}`] : []),
+        'Content-Type: multipart/report; report-type=delivery-status; boundary="b"',
+        '',
+        '--b',
+        'Content-Type: text/plain',
+        '',
+        "The email account that you tried to reach does not exist. 550 5.1.1 User unknown",
+        ''
+    ];
+
+    if (recipients.length > 0) {
+        lines.push('--b', 'Content-Type: message/delivery-status', '', 'Reporting-MTA: dns; googlemail.com', '');
+        recipients.forEach(({ email, action, status, diagnostic }) => {
+            lines.push(`Final-Recipient: rfc822; ${email}`, `Action: ${action}`, `Status: ${status}`);
+            if (diagnostic) {
+                lines.push(`Diagnostic-Code: smtp; ${diagnostic}`);
+            }
+            lines.push('');
+        });
+    }
+
+    lines.push('--b--', '');
+    return lines.join('\r\n');
+}
+
+// Mocked gmail.users.messages: list() pages through `ids` two at a time
+function gmailClient(messages) {
+    const ids = Object.keys(messages);
+    const calls = { list: [], get: [] };
+
+    return {
+        calls,
+        users: {
+            messages: {
+                async list(params) {
+                    calls.list.push(params);
+                    const start = params.pageToken ? parseInt(params.pageToken) : 0;
+                    const page = ids.slice(start, start + 2);
+                    return {
+                        data: {
+                            messages: page.map(id => ({ id })),
+                            nextPageToken: start + 2 < ids.length ? String(start + 2) : undefined
+                        }
+                    };
+                },
+                async get(params) {
+                    calls.get.push(params);
+                    return { data: { raw: Buffer.from(messages[params.id]).toString('base64url') } };
+                }
+            }
+        }
+    };
+}
+
+function createProcessor(sent = {}) {
+    const ledger = new SendLedger(logger, memoryStore({ addresses: sent }));
+    const suppression = new SuppressionList(logger, memoryStore({ addresses: {} }));
+    const logged = [];
+    const recipientSource = {
+        async logEmailResult(name, email, status, timestamp, details) {
+            logged.push({ name, email, status, details });
+            return true;
+        }
+    };
+    const store = memoryStore({ processed: {}, bounces: {}, lastRunAt: null });
+    const processor = new BounceProcessor(logger, { ledger, suppression, recipientSource, store });
+    return { processor, ledger, suppression, logged, store };
+}
+
+test('parseBounce reads the delivery-status fields of every failed recipient', () => {
+    const { processor } = createProcessor();
+    const bounces = processor.parseBounce(dsn([
+        { email: 'Gone@Example.com', action: 'failed', status: '5.1.1', diagnostic: '550 5.1.1 The email account does not exist' },
+        { email: 'full@example.com', action: 'failed', status: '4.2.2', diagnostic: '452 4.2.2 Mailbox full' },
+        { email: 'ok@example.com', action: 'delivered', status: '2.0.0' }
+    ]));
+
+    assert.deepStrictEqual(bounces, [
+        { email: 'gone@example.com', status: '5.1.1', type: 'hard', diagnostic: '550 5.1.1 The email account does not exist' },
+        { email: 'full@example.com', status: '4.2.2', type: 'soft', diagnostic: '452 4.2.2 Mailbox full' }
+    ]);
+});
+
+test('parseBounce falls back to X-Failed-Recipients and the status in the text', () => {
+    const { processor } = createProcessor();
+    const bounces = processor.parseBounce(dsn([], { failed: 'a@example.com, <b@example.com>' }));
+
+    assert.deepStrictEqual(bounces.map(bounce => [bounce.email, bounce.status, bounce.type]), [
+        ['a@example.com', '5.1.1', 'hard'],
+        ['b@example.com', '5.1.1', 'hard']
+    ]);
+    assert.match(bounces[0].diagnostic, /550 5\.1\.1 User unknown/);
+});
+
+test('parseBounce ignores messages that are not delivery failures', () => {
+    const { processor } = createProcessor();
+    assert.deepStrictEqual(processor.parseBounce('From: someone@example.com\r\nSubject: Hi\r\n\r\nHello'), []);
+});
+
+test('classify tells hard from soft bounces', () => {
+    const { processor } = createProcessor();
+
+    assert.strictEqual(processor.classify('5.1.1', 'failed', ''), 'hard');
+    assert.strictEqual(processor.classify('4.4.1', 'failed', ''), 'soft');
+    assert.strictEqual(processor.classify('5.2.2', 'failed', ''), 'soft', 'mailbox full is temporary');
+    assert.strictEqual(processor.classify('5.1.1', 'delayed', ''), 'soft', 'delayed is never final');
+    assert.strictEqual(processor.classify(null, 'failed', '550 No such user'), 'hard');
+    assert.strictEqual(processor.classify(null, 'failed', '421 Try again later'), 'soft');
+    assert.strictEqual(processor.classify(null, 'failed', ''), 'soft');
+});
+
+test('run() records bounces from the mailbox and suppresses hard ones', async () => {
+    const { processor, ledger, suppression, logged, store } = createProcessor({
+        'gone@example.com': { name: 'Gone Co', messageId: '<1@example.com>', variant: 'A', step: 1 },
+        'full@example.com': { name: 'Full Co', messageId: '<2@example.com>', variant: 'B', step: 1 }
+    });
+    const gmail = gmailClient({
+        m1: dsn([{ email: 'gone@example.com', action: 'failed', status: '5.1.1' }]),
+        m2: dsn([{ email: 'full@example.com', action: 'failed', status: '4.2.2' }]),
+        m3: dsn([{ email: 'stranger@example.com', action: 'failed', status: '5.1.1' }])
+    });
+
+    const result = await processor.run(gmail);
+
+    assert.strictEqual(result.scanned, 3);
+    assert.strictEqual(result.processed, 3);
+    assert.strictEqual(result.hard, 2);
+    assert.strictEqual(result.soft, 1);
+    assert.strictEqual(result.unmatched, 1);
+    assert.strictEqual(gmail.calls.list.length, 2, 'follows nextPageToken');
+    assert.match(gmail.calls.list[0].q, /^from:\(mailer-daemon OR postmaster\) newer_than:\d+d$/);
+    assert.deepStrictEqual(gmail.calls.get.map(call => call.format), ['raw', 'raw', 'raw']);
+
+    assert.ok(suppression.has('gone@example.com'));
+    assert.ok(suppression.has('stranger@example.com'));
+    assert.ok(!suppression.has('full@example.com'));
+    assert.strictEqual(ledger.get('gone@example.com').bounce.type, 'hard');
+    assert.strictEqual(ledger.get('full@example.com').bounce.type, 'soft');
+
+    assert.deepStrictEqual(logged.map(entry => [entry.email, entry.status]), [
+        ['gone@example.com', 'bounced'],
+        ['full@example.com', 'soft-bounced']
+    ]);
+    assert.deepStrictEqual(Object.keys(store.data.processed).sort(), ['m1', 'm2', 'm3']);
+    assert.strictEqual(processor.getStats().hard, 2);
+});
+
+test('run() only processes each notice once', async () => {
+    const { processor } = createProcessor({ 'gone@example.com': { name: 'Gone Co', step: 1 } });
+    const gmail = gmailClient({ m1: dsn([{ email: 'gone@example.com', action: 'failed', status: '5.1.1' }]) });
+
+    await processor.run(gmail);
+    const second = await processor.run(gmail);
+
+    assert.strictEqual(second.scanned, 1);
+    assert.strictEqual(second.processed, 0);
+    assert.strictEqual(gmail.calls.get.length, 1);
+    assert.strictEqual(processor.getStats().addresses['gone@example.com'].count, 1);
+});
+
+test('run() is skipped without a Gmail API client', async () => {
+    const { processor } = createProcessor();
+    const result = await processor.run(null);
+
+    assert.strictEqual(result.skipped, true);
+});
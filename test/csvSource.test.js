@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-source-'));
+process.env.DATA_DIR = path.join(workDir, 'data');
+process.env.COLUMN_MAPPING_CONFIG = path.join(workDir, 'no-columns.json');
+
+const CsvSource = require('../services/sources/csvSource');
+const Csv = require('../utils/csv');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Fresh copy of a fixture, so write-backs don't touch the originals
+function fixture(name) {
+    const copy = path.join(fs.mkdtempSync(path.join(workDir, 'case-')), name);
+    fs.copySync(path.join(FIXTURES, name), copy);
+    return copy;
+}
+
+test.after(() => fs.remove(workDir));
+
+test('reads recipients by their header names', async () => {
+    const source = new CsvSource(fixture('recipients.csv'), { templatesFile: path.join(FIXTURES, 'templates.csv') });
+    const recipients = await source.getRecipientData();
+
+    assert.strictEqual(recipients.length, 2, 'rows without an address are left out');
+    assert.deepStrictEqual(
+        { ...recipients[0], addressCheck: undefined },
+        {
+            keyword: 'gỗ',
+            name: 'Công ty A',
+            address: 'Số 1, Hà Nội',
+            website: 'a.vn',
+            primaryEmail: 'a@example.com',
+            status: 'new',
+            additionalEmails: ['sales@a.example.com'],
+            invalidEmails: [],
+            fields: { nganh_nghe: 'Gỗ' },
+            rowIndex: 2,
+            allEmails: ['a@example.com', 'sales@a.example.com'],
+            addressCheck: undefined
+        }
+    );
+    assert.strictEqual(recipients[1].status, 'sent');
+
+    const columns = await source.describeRecipientColumns();
+    assert.strictEqual(columns.columns.primaryEmail.column, 'E');
+    assert.strictEqual(columns.columns.status.column, 'H');
+});
+
+test('reports every address that fails the syntax check', async () => {
+    const source = new CsvSource(fixture('recipients.csv'));
+    const recipients = await source.getRecipientData({ includeInvalid: true });
+    const invalid = recipients.find(recipient => recipient.name === 'Công ty D');
+
+    assert.deepStrictEqual(invalid.invalidEmails, ['nguyen.gmail.com', 'bad-address']);
+    assert.deepStrictEqual(invalid.allEmails, []);
+    assert.ok(!recipients.some(recipient => recipient.name === 'Công ty C'), 'rows without any address are not reported');
+});
+
+test('picks the delimiter from the extension', async () => {
+    const source = new CsvSource(fixture('recipients.tsv'));
+    const recipients = await source.getRecipientData();
+
+    assert.deepStrictEqual(recipients.map(recipient => [recipient.name, recipient.primaryEmail, recipient.status]), [
+        ['Công ty A', 'a@example.com', 'new'],
+        ['Công ty B', 'b@example.com', 'sent']
+    ]);
+});
+
+test('reads templates from TEMPLATES_FILE', async () => {
+    const source = new CsvSource(fixture('recipients.csv'), { templatesFile: path.join(FIXTURES, 'templates.csv') });
+    const templates = await source.getEmailTemplates();
+
+    assert.deepStrictEqual(templates.map(template => [template.title, template.subject, template.content]), [
+        ['A', 'Chào {{name}}', 'Ngành {{nganh_nghe}}']
+    ]);
+});
+
+test('writes statuses back into the file and leaves the other cells alone', async () => {
+    const file = fixture('recipients.csv');
+    const source = new CsvSource(file);
+    await source.getRecipientData();
+
+    assert.strictEqual(await source.updateRecipientStatus(2, 'sent'), true);
+
+    const rows = Csv.parse(await fs.readFile(file, 'utf8'));
+    const original = Csv.parse(await fs.readFile(path.join(FIXTURES, 'recipients.csv'), 'utf8'));
+    assert.deepStrictEqual(rows[1], [...original[1].slice(0, 7), 'sent']);
+    assert.deepStrictEqual(rows.slice(2), original.slice(2));
+    assert.deepStrictEqual(await source.getUnprocessedRecipients(), []);
+});
+
+test('buffers writes inside withBatchedWrites and logs results next to the file', async () => {
+    const file = fixture('recipients.csv');
+    const source = new CsvSource(file);
+    await source.getRecipientData();
+
+    await source.withBatchedWrites(async () => {
+        await source.updateRecipientStatus(2, 'failed');
+        await source.logEmailResult('Công ty A', 'a@example.com', 'failed', '10:00 01/01/2026', { error: 'boom', attempts: 3 });
+        assert.strictEqual(Csv.parse(await fs.readFile(file, 'utf8'))[1][7], '', 'nothing written before the batch ends');
+    });
+
+    assert.strictEqual(Csv.parse(await fs.readFile(file, 'utf8'))[1][7], 'failed');
+
+    const results = Csv.parse(await fs.readFile(file.replace(/\.csv$/, '.results.csv'), 'utf8'));
+    const header = results[0];
+    assert.deepStrictEqual(header.slice(0, 4), ['Name', 'Email', 'Status', 'Timestamp']);
+    assert.strictEqual(results[1][header.indexOf('Email')], 'a@example.com');
+    assert.strictEqual(results[1][header.indexOf('Error')], 'boom');
+});
+
+test('flushes each batch when its own call ends', async () => {
+    const file = fixture('recipients.csv');
+    const source = new CsvSource(file);
+    await source.getRecipientData();
+    const status = async row => Csv.parse(await fs.readFile(file, 'utf8'))[row - 1][7];
+
+    let finishSend;
+    const sendDone = new Promise(resolve => {
+        finishSend = resolve;
+    });
+    const send = source.withBatchedWrites(async () => {
+        await source.updateRecipientStatus(2, 'sent');
+        await sendDone;
+    });
+
+    // A scan that starts and ends while the send is still running
+    await source.withBatchedWrites(async () => {
+        await source.updateRecipientStatus(3, 'bounced');
+        await source.withBatchedWrites(() => source.logEmailResult('Công ty B', 'b@example.com', 'bounced'));
+        assert.strictEqual(await status(3), 'sent', 'nested calls share the outer batch');
+    });
+    assert.strictEqual(await status(3), 'bounced');
+    assert.ok(await fs.pathExists(file.replace(/\.csv$/, '.results.csv')));
+    assert.strictEqual(await status(2), '', 'the send batch is still open');
+
+    finishSend();
+    await send;
+    assert.strictEqual(await status(2), 'sent');
+});
+
+test('leaves the file alone when writes are disabled', async () => {
+    const file = fixture('recipients.csv');
+    const source = new CsvSource(file);
+    source.writesDisabled = true;
+    await source.getRecipientData();
+
+    assert.strictEqual(await source.updateRecipientStatus(2, 'sent'), false);
+    assert.strictEqual(await source.logEmailResult('Công ty A', 'a@example.com', 'sent'), false);
+    assert.strictEqual(await fs.readFile(file, 'utf8'), await fs.readFile(path.join(FIXTURES, 'recipients.csv'), 'utf8'));
+    assert.ok(!(await fs.pathExists(file.replace(/\.csv$/, '.results.csv'))));
+});
+
+test('rejects missing files and files without an email column', async () => {
+    await assert.rejects(new CsvSource(path.join(workDir, 'missing.csv')).initialize(), /Recipients file not found/);
+    await assert.rejects(
+        new CsvSource(path.join(FIXTURES, 'recipients.csv'), { templatesFile: path.join(workDir, 'missing.csv') }).initialize(),
+        /Templates file not found/
+    );
+    await assert.rejects(new CsvSource(fixture('no-email.csv')).getRecipientData(), /email/i);
+    assert.strictEqual(await new CsvSource(path.join(workDir, 'missing.csv')).testConnection(), false);
+});
+
+test('reports a status write to a row that does not exist', async () => {
+    const source = new CsvSource(fixture('recipients.csv'));
+    await assert.rejects(source.writeStatuses([{ rowIndex: 40, column: 7, status: 'sent' }]), /Row 40 not found/);
+});
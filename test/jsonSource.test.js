@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-source-'));
+process.env.DATA_DIR = path.join(workDir, 'data');
+process.env.COLUMN_MAPPING_CONFIG = path.join(workDir, 'no-columns.json');
+
+const JsonSource = require('../services/sources/jsonSource');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Fresh copy of a fixture, so write-backs don't touch the originals
+function fixture(name) {
+    const copy = path.join(fs.mkdtempSync(path.join(workDir, 'case-')), name);
+    fs.copySync(path.join(FIXTURES, name), copy);
+    return copy;
+}
+
+test.after(() => fs.remove(workDir));
+
+test('uses object keys as headers and adds a status column', async () => {
+    const source = new JsonSource(fixture('recipients.json'));
+    const rows = await source.readRecipientRows();
+
+    assert.deepStrictEqual(rows[0], ['Tên', 'Email', 'Ngành nghề', 'status']);
+
+    const recipients = await source.getRecipientData();
+    assert.deepStrictEqual(recipients.map(recipient => [recipient.name, recipient.primaryEmail, recipient.status, recipient.fields.nganh_nghe]), [
+        ['Công ty A', 'a@example.com', 'new', 'Gỗ'],
+        ['Công ty B', 'b@example.com', 'sent', 'IT']
+    ]);
+});
+
+test('reads the templates embedded in the file', async () => {
+    const source = new JsonSource(fixture('recipients.json'));
+    const templates = await source.getEmailTemplates();
+
+    assert.strictEqual(templates.length, 1);
+    assert.strictEqual(templates[0].subject, 'Chào {{name}}');
+    assert.strictEqual(templates[0].content, 'Ngành {{nganh_nghe}}');
+    assert.deepStrictEqual(templates[0].attachments, ['brochure.pdf', 'bao-gia/{{name}}.pdf']);
+});
+
+test('writes statuses back into each object', async () => {
+    const file = fixture('recipients.json');
+    const source = new JsonSource(file);
+    await source.getRecipientData();
+
+    assert.strictEqual(await source.updateRecipientStatus(2, 'sent'), true);
+
+    const data = await fs.readJson(file);
+    assert.deepStrictEqual(data.recipients[0], { 'Tên': 'Công ty A', 'Email': 'a@example.com', 'Ngành nghề': 'Gỗ', status: 'sent' });
+    assert.deepStrictEqual(data.recipients[1], (await fs.readJson(path.join(FIXTURES, 'recipients.json'))).recipients[1]);
+    assert.strictEqual(data.templates.length, 1, 'the rest of the file is kept');
+    assert.deepStrictEqual(await source.getUnprocessedRecipients(), []);
+});
+
+test('rejects malformed files', async () => {
+    await assert.rejects(new JsonSource(fixture('broken.json')).getRecipientData(), /Failed to read recipient data/);
+    await assert.rejects(new JsonSource(fixture('no-recipients.json')).getRecipientData(), /must contain an array of recipients/);
+    await assert.rejects(new JsonSource(path.join(workDir, 'missing.json')).initialize(), /Recipients file not found/);
+});
+
+test('asks for TEMPLATES_FILE when the file has no templates', async () => {
+    const file = path.join(workDir, 'plain.json');
+    await fs.writeJson(file, [{ Email: 'a@example.com' }]);
+
+    await assert.rejects(new JsonSource(file).getEmailTemplates(), /set TEMPLATES_FILE/);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const JsonStore = require('../utils/jsonStore');
+const EmailQueue = require('../utils/emailQueue');
+const SendLedger = require('../utils/sendLedger');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+const dataDir = path.join(workDir, 'data');
+const previousEnv = { DATA_DIR: process.env.DATA_DIR, MAIL_TRANSPORT: process.env.MAIL_TRANSPORT };
+
+process.env.DATA_DIR = dataDir;
+
+test.after(async () => {
+    Object.entries(previousEnv).forEach(([name, value]) => {
+        if (value === undefined) {
+            delete process.env[name];
+        } else {
+            process.env[name] = value;
+        }
+    });
+    await fs.remove(workDir);
+});
+
+test('keeps the state of capturing runs in outbox-state/', () => {
+    assert.strictEqual(JsonStore.dataDir({ DATA_DIR: dataDir, MAIL_TRANSPORT: 'gmail' }), dataDir);
+    assert.strictEqual(JsonStore.dataDir({ DATA_DIR: dataDir, MAIL_TRANSPORT: 'smtp' }), dataDir);
+    ['memory', 'file', 'outbox'].forEach(transport => {
+        assert.strictEqual(JsonStore.dataDir({ DATA_DIR: dataDir, MAIL_TRANSPORT: transport }), path.join(dataDir, 'outbox-state'));
+    });
+});
+
+for (const transport of ['memory', 'file']) {
+    test(`a MAIL_TRANSPORT=${transport} run leaves the real queue and ledger alone`, async () => {
+        await fs.emptyDir(dataDir);
+        const realQueue = { jobs: [{ id: 'real', key: '2:a@example.com', state: 'sent' }] };
+        const realLedger = { addresses: { 'a@example.com': { step: 1, sentAt: '2026-01-01T00:00:00.000Z' } } };
+        await fs.writeJson(path.join(dataDir, 'queue.json'), realQueue);
+        await fs.writeJson(path.join(dataDir, 'sent-ledger.json'), realLedger);
+
+        process.env.MAIL_TRANSPORT = transport;
+        const queue = new EmailQueue(logger);
+        const ledger = new SendLedger(logger);
+        await queue.enqueue([{ rowIndex: 3, primaryEmail: 'b@example.com', allEmails: ['b@example.com'] }]);
+        await ledger.record(['b@example.com'], { messageId: '<1@example.com>' });
+
+        const outboxState = path.join(dataDir, 'outbox-state');
+        assert.deepStrictEqual((await fs.readJson(path.join(outboxState, 'queue.json'))).jobs.map(job => job.key), ['3:b@example.com']);
+        assert.deepStrictEqual(Object.keys((await fs.readJson(path.join(outboxState, 'sent-ledger.json'))).addresses), ['b@example.com']);
+        assert.deepStrictEqual(await fs.readJson(path.join(dataDir, 'queue.json')), realQueue);
+        assert.deepStrictEqual(await fs.readJson(path.join(dataDir, 'sent-ledger.json')), realLedger);
+    });
+}
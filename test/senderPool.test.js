@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SenderPool = require('../services/senderPool');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+function createPool(accounts) {
+    const pool = new SenderPool([], logger, { async load() { return { days: {} }; }, async save() {} });
+    pool.accounts = accounts.map(account => ({
+        status: 'ok',
+        transporter: {},
+        pausedUntil: null,
+        dailyLimit: 500,
+        ...account
+    }));
+    return pool;
+}
+
+test('pick() takes the account with the most quota left', () => {
+    const pool = createPool([{ email: 'a@example.com', dailyLimit: 100 }, { email: 'b@example.com', dailyLimit: 400 }]);
+
+    assert.strictEqual(pool.pick().email, 'b@example.com');
+});
+
+test('pick() keeps a preferred account while it can send', () => {
+    const pool = createPool([{ email: 'a@example.com', dailyLimit: 100 }, { email: 'b@example.com', dailyLimit: 400 }]);
+
+    assert.strictEqual(pool.pick('A@example.com').email, 'a@example.com');
+});
+
+test('pick() falls back when the preferred account cannot send', () => {
+    const pool = createPool([
+        { email: 'paused@example.com', pausedUntil: Date.now() + 60000 },
+        { email: 'failed@example.com', status: 'auth-failed' },
+        { email: 'spent@example.com', dailyLimit: 10 },
+        { email: 'b@example.com', dailyLimit: 400 }
+    ]);
+    pool.usage = { [pool.today()]: { 'spent@example.com': 10 } };
+
+    assert.strictEqual(pool.pick('paused@example.com').email, 'b@example.com');
+    assert.strictEqual(pool.pick('failed@example.com').email, 'b@example.com');
+    assert.strictEqual(pool.pick('spent@example.com').email, 'b@example.com');
+    assert.strictEqual(pool.pick('unknown@example.com').email, 'b@example.com');
+});
+
+test('initialize() tries again after a failed connect', async () => {
+    let loads = 0;
+    const store = {
+        async load() {
+            loads++;
+            if (loads === 1) {
+                throw new Error('EBUSY: sender-usage.json');
+            }
+            return { days: {} };
+        },
+        async save() {}
+    };
+    const pool = new SenderPool([], logger, store);
+    const primary = { getAccountEmail: () => 'a@example.com', transporter: { name: 'smtp' } };
+
+    await assert.rejects(pool.initialize(primary), /EBUSY/);
+    await pool.initialize(primary);
+
+    assert.strictEqual(loads, 2);
+    assert.deepStrictEqual(pool.accounts.map(account => account.email), ['a@example.com']);
+    await pool.initialize(primary);
+    assert.strictEqual(loads, 2, 'a successful connect is kept');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TrackingStore = require('../utils/trackingStore');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// JsonStore stand-in kept in memory
+function memoryStore(initial = {}) {
+    return {
+        data: JSON.parse(JSON.stringify(initial)),
+        async load() {
+            return JSON.parse(JSON.stringify(this.data));
+        },
+        async save(data) {
+            this.data = JSON.parse(JSON.stringify(data));
+        }
+    };
+}
+
+test('per-link clicks keep counting past the capped event log', async () => {
+    const tracking = new TrackingStore(logger, memoryStore({ messages: {} }));
+    await tracking.registerMessage('t1', { email: 'a@example.com', variant: { title: 'A', index: 0 } });
+    await tracking.registerMessage('t2', { email: 'b@example.com', variant: { title: 'A', index: 0 } });
+
+    for (let i = 0; i < 60; i++) {
+        await tracking.recordClick('t1', i % 3 === 0 ? 'https://example.com/price' : 'https://example.com/');
+    }
+    await tracking.recordClick('t2', 'https://example.com/');
+
+    assert.strictEqual(tracking.getMessage('t1').clicks.events.length, tracking.maxEventsPerMessage);
+
+    const stats = tracking.getClickStats();
+    assert.strictEqual(stats.totalClicks, 61);
+    assert.deepStrictEqual(stats.links.map(link => [link.url, link.clicks, link.uniqueClicks]), [
+        ['https://example.com/', 41, 2],
+        ['https://example.com/price', 20, 1]
+    ]);
+    assert.strictEqual(stats.links.reduce((sum, link) => sum + link.clicks, 0), stats.totalClicks);
+});
+
+test('messages tracked before the per-URL counters are counted from their events', async () => {
+    const tracking = new TrackingStore(logger, memoryStore({
+        messages: {
+            old: {
+                addresses: ['a@example.com'],
+                campaign: 'default',
+                variant: null,
+                opens: { count: 0, events: [] },
+                clicks: { count: 2, events: [{ url: 'https://example.com/' }, { url: 'https://example.com/' }] }
+            }
+        }
+    }));
+    await tracking.initialize();
+    assert.deepStrictEqual(tracking.getClickStats().links.map(link => [link.url, link.clicks]), [['https://example.com/', 2]]);
+
+    await tracking.recordClick('old', 'https://example.com/');
+    assert.deepStrictEqual(tracking.getMessage('old').clicks.urls, { 'https://example.com/': 3 });
+});
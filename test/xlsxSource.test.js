@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xlsx-source-'));
+process.env.DATA_DIR = path.join(workDir, 'data');
+process.env.COLUMN_MAPPING_CONFIG = path.join(workDir, 'no-columns.json');
+
+const XlsxSource = require('../services/sources/xlsxSource');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Fresh copy of a fixture, so write-backs don't touch the originals
+function fixture(name) {
+    const copy = path.join(fs.mkdtempSync(path.join(workDir, 'case-')), name);
+    fs.copySync(path.join(FIXTURES, name), copy);
+    return copy;
+}
+
+async function worksheetRows(file, name) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(file);
+    return XlsxSource.worksheetRows(workbook.getWorksheet(name));
+}
+
+test.after(() => fs.remove(workDir));
+
+test('reads recipients from Sheet1 by their header names', async () => {
+    const source = new XlsxSource(fixture('recipients.xlsx'));
+    const recipients = await source.getRecipientData();
+
+    assert.deepStrictEqual(recipients.map(recipient => [recipient.name, recipient.address, recipient.status, recipient.allEmails, recipient.fields.nganh_nghe]), [
+        ['Công ty A', 'Số 1, Hà Nội', 'new', ['a@example.com', 'sales@a.example.com'], 'Gỗ'],
+        ['Công ty B', 'HCM', 'sent', ['b@example.com'], 'IT']
+    ]);
+});
+
+test('reads templates from Sheet2', async () => {
+    const source = new XlsxSource(fixture('recipients.xlsx'));
+    const templates = await source.getEmailTemplates();
+
+    assert.deepStrictEqual(templates.map(template => [template.title, template.subject, template.weight]), [
+        ['A', 'Chào {{name}}', 3],
+        ['B', 'Xin chào {{name}}', 1]
+    ]);
+});
+
+test('writes statuses into Sheet1 and the send log into Sheet3', async () => {
+    const file = fixture('recipients.xlsx');
+    const source = new XlsxSource(file);
+    await source.getRecipientData();
+
+    await source.withBatchedWrites(async () => {
+        await source.updateRecipientStatus(2, 'sent');
+        await source.logEmailResult('Công ty A', 'a@example.com', 'sent', '10:00 01/01/2026', { messageId: '<1@example.com>', variant: 'A' });
+    });
+
+    const recipients = await worksheetRows(file, 'Sheet1');
+    assert.strictEqual(recipients[1][7], 'sent');
+    assert.strictEqual(recipients[1][1], 'Công ty A');
+    assert.strictEqual(recipients[2][7], 'sent');
+
+    const log = await worksheetRows(file, 'Sheet3');
+    assert.deepStrictEqual(log[0].slice(0, 4), ['Name', 'Email', 'Status', 'Timestamp']);
+    assert.strictEqual(log[1][log[0].indexOf('Message ID')], '<1@example.com>');
+    assert.strictEqual(log[1][log[0].indexOf('Variant')], 'A');
+    assert.deepStrictEqual(await source.getUnprocessedRecipients(), []);
+});
+
+test('rejects missing and unreadable workbooks', async () => {
+    await assert.rejects(new XlsxSource(path.join(workDir, 'missing.xlsx')).initialize(), /Recipients file not found/);
+
+    const broken = path.join(workDir, 'broken.xlsx');
+    await fs.writeFile(broken, 'not a workbook');
+    await assert.rejects(new XlsxSource(broken).getRecipientData(), /Failed to read recipient data/);
+    assert.strictEqual(await new XlsxSource(broken).testConnection(), false);
+});
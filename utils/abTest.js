@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+
+const METRICS = ['opened', 'clicked', 'replied'];
+
+// A/B testing of Sheet2 template variants (data/variants.json).
+// Each recipient is assigned a variant by a weighted split (Sheet2 column E)
+// that is derived from the recipient itself, so retries and re-runs always
+// pick the same one. Sent/failed/replied counts are kept here; opens and
+// clicks come from the tracking store. With AB_AUTO_PROMOTE=true the best
+// variant of a sequence step becomes the only one once every variant has
+// been sent AB_MIN_SAMPLE times.
+class AbTest {
+    constructor(logger, store = null) {
+        this.logger = logger;
+        this.store = store || new JsonStore('variants.json', { variants: {}, promoted: {} });
+        this.variants = {};
+        this.promoted = {};
+        this.loaded = false;
+        this.autoPromote = process.env.AB_AUTO_PROMOTE === 'true';
+        this.minSample = parseInt(process.env.AB_MIN_SAMPLE || '100');
+        this.metric = METRICS.includes(process.env.AB_WINNER_METRIC) ? process.env.AB_WINNER_METRIC : 'replied';
+    }
+
+    async initialize() {
+        if (this.loaded) {
+            return;
+        }
+
+        const data = await this.store.load();
+        this.variants = {};
+        // Files written before variants were kept per step are keyed by title
+        Object.entries(data.variants || {}).forEach(([key, counts]) => {
+            const title = counts.title || key;
+            const step = counts.step || 1;
+            this.variants[this.variantKey(title, step)] = { ...counts, title, step };
+        });
+        this.promoted = data.promoted || {};
+        this.loaded = true;
+    }
+
+    // Variant for a recipient at a sequence step
+    assign(candidates, recipient, step = 1) {
+        const promoted = this.promoted[step];
+        const winner = promoted && candidates.find(template => template.title === promoted);
+        if (winner) {
+            return winner;
+        }
+
+        // All weights 0 means "no preference" rather than "send nothing"
+        let weights = candidates.map(template => template.weight !== undefined && template.weight !== null ? template.weight : 1);
+        if (!weights.some(weight => weight > 0)) {
+            weights = candidates.map(() => 1);
+        }
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+        // Stable point in [0, total) for this recipient and step
+        const key = `${recipient.rowIndex || ''}:${(recipient.primaryEmail || '').toLowerCase()}:${step}`;
+        const hash = crypto.createHash('sha1').update(key).digest().readUInt32BE(0);
+        let point = (hash / 0x100000000) * total;
+
+        for (let i = 0; i < candidates.length; i++) {
+            point -= weights[i];
+            if (point < 0 && weights[i] > 0) {
+                return candidates[i];
+            }
+        }
+        return candidates[weights.findIndex(weight => weight > 0)];
+    }
+
+    // Count final send outcomes per variant (title within its sequence step)
+    async recordResults(details) {
+        await this.initialize();
+
+        details.forEach(detail => {
+            if (!detail.variant) {
+                return;
+            }
+            const variant = this.getVariant(detail.variant, detail.step);
+            variant[detail.status === 'sent' ? 'sent' : 'failed']++;
+        });
+
+        await this.persist();
+    }
+
+    async recordReply(title, step = 1) {
+        if (!title) {
+            return;
+        }
+        await this.initialize();
+
+        this.getVariant(title, step).replied++;
+        await this.persist();
+    }
+
+    // A title reused by several sequence steps is a separate variant in each
+    variantKey(title, step = 1) {
+        return `${step || 1}:${title}`;
+    }
+
+    getVariant(title, step = 1) {
+        const key = this.variantKey(title, step);
+        if (!this.variants[key]) {
+            this.variants[key] = { title, step: step || 1, sent: 0, failed: 0, replied: 0 };
+        }
+        return this.variants[key];
+    }
+
+    // Per-variant results. `trackedMessages` are the tracking store's
+    // messages, which remember the variant they were rendered from.
+    getReport(trackedMessages = []) {
+        const engagement = {};
+        trackedMessages.forEach(message => {
+            const title = message.variant && message.variant.title;
+            if (!title) {
+                return;
+            }
+            const key = this.variantKey(title, message.variant.step);
+            engagement[key] = engagement[key] || { opened: 0, clicked: 0 };
+            if (message.opens && message.opens.count > 0) {
+                engagement[key].opened++;
+            }
+            if (message.clicks && message.clicks.count > 0) {
+                engagement[key].clicked++;
+            }
+        });
+
+        const rate = (count, sent) => sent > 0 ? Math.round((count / sent) * 1000) / 10 : 0;
+        const variants = Object.entries(this.variants).map(([key, counts]) => {
+            const opened = (engagement[key] || {}).opened || 0;
+            const clicked = (engagement[key] || {}).clicked || 0;
+            return {
+                title: counts.title,
+                step: counts.step,
+                sent: counts.sent,
+                failed: counts.failed,
+                opened,
+                clicked,
+                replied: counts.replied,
+                openRate: rate(opened, counts.sent),
+                clickRate: rate(clicked, counts.sent),
+                replyRate: rate(counts.replied, counts.sent),
+                promoted: this.promoted[counts.step] === counts.title
+            };
+        });
+
+        return {
+            metric: this.metric,
+            autoPromote: this.autoPromote,
+            minSample: this.minSample,
+            promoted: this.promoted,
+            variants: variants.sort((a, b) => a.step - b.step || a.title.localeCompare(b.title))
+        };
+    }
+
+    // Promote the best variant of each step once all of its variants reached
+    // the minimum sample and one of them is strictly ahead (right after a send
+    // nobody has opened or replied yet, so everything ties at 0). Returns the
+    // newly promoted { step: title } pairs.
+    async evaluate(trackedMessages = []) {
+        await this.initialize();
+        if (!this.autoPromote) {
+            return {};
+        }
+
+        const report = this.getReport(trackedMessages);
+        const rateKey = { opened: 'openRate', clicked: 'clickRate', replied: 'replyRate' }[this.metric];
+        const byStep = {};
+        report.variants.forEach(variant => {
+            byStep[variant.step] = byStep[variant.step] || [];
+            byStep[variant.step].push(variant);
+        });
+
+        const promotions = {};
+        Object.entries(byStep).forEach(([step, variants]) => {
+            if (this.promoted[step] || variants.length < 2 || variants.some(variant => variant.sent < this.minSample)) {
+                return;
+            }
+
+            const ranked = [...variants].sort((a, b) => b[rateKey] - a[rateKey]);
+            if (ranked[0][rateKey] === ranked[1][rateKey]) {
+                return;
+            }
+
+            const winner = ranked[0];
+            this.promoted[step] = winner.title;
+            promotions[step] = winner.title;
+            this.logger.info(`A/B test: promoted "${winner.title}" for step ${step} (${this.metric} ${winner[rateKey]}%)`);
+        });
+
+        if (Object.keys(promotions).length > 0) {
+            await this.persist();
+        }
+        return promotions;
+    }
+
+    // Start a step's test over (keeps the counts)
+    async clearPromotion(step) {
+        await this.initialize();
+        delete this.promoted[step];
+        await this.persist();
+    }
+
+    persist() {
+        return this.store.save({ variants: this.variants, promoted: this.promoted });
+    }
+}
+
+module.exports = AbTest;
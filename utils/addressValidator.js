@@ -0,0 +1,277 @@
+const url = require('url');
+const DISPOSABLE_DOMAINS = require('./disposableDomains.json');
+
+// dot-atom text of RFC 5322 (no comments or obsolete forms)
+const ATEXT = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+$/;
+const QUOTED_LOCAL = /^"(?:[^"\\\r\n]|\\.)*"$/;
+const DOMAIN_LABEL = /^(?!-)[A-Za-z0-9-]{1,63}(?<!-)$/;
+const TLD = /^(?:[A-Za-z]{2,63}|xn--[A-Za-z0-9-]{1,59})$/;
+const IPV4_LITERAL = /^\[(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})\]$/;
+
+// Mailbox providers worth suggesting a correction for
+const POPULAR_DOMAINS = [
+    'gmail.com', 'yahoo.com', 'yahoo.com.vn', 'hotmail.com', 'outlook.com',
+    'live.com', 'icloud.com', 'msn.com', 'aol.com', 'protonmail.com', 'zoho.com'
+];
+
+// Real providers that happen to be close to a popular one (mail.com and
+// email.com vs gmail.com, Yahoo's regional domains vs yahoo.com.vn) - never
+// "corrected"
+const OTHER_PROVIDERS = [
+    'mail.com', 'email.com', 'ymail.com', 'gmx.com', 'gmx.net', 'me.com', 'mac.com', 'aim.com',
+    'yandex.com', 'mail.ru', 'qq.com', '163.com', 'naver.com', 'live.vn', 'protonmail.ch',
+    'yahoo.com.au', 'yahoo.com.sg', 'yahoo.com.my', 'yahoo.com.ph', 'yahoo.com.hk',
+    'yahoo.com.tw', 'yahoo.com.cn', 'yahoo.com.br', 'yahoo.com.mx', 'yahoo.com.ar'
+];
+
+// Frequent misspellings, including ones too far from the real domain for
+// the edit-distance check
+const KNOWN_TYPOS = {
+    'gmial.com': 'gmail.com',
+    'gmai.com': 'gmail.com',
+    'gamil.com': 'gmail.com',
+    'gmal.com': 'gmail.com',
+    'gnail.com': 'gmail.com',
+    'gmaill.com': 'gmail.com',
+    'gmail.co': 'gmail.com',
+    'gmail.cm': 'gmail.com',
+    'gmail.com.vn': 'gmail.com',
+    'googlemail.con': 'googlemail.com',
+    'yaho.com': 'yahoo.com',
+    'yahooo.com': 'yahoo.com',
+    'yhoo.com': 'yahoo.com',
+    'yahoo.co': 'yahoo.com',
+    'yahoo.vn': 'yahoo.com.vn',
+    'yahoo.com.vm': 'yahoo.com.vn',
+    'hotmial.com': 'hotmail.com',
+    'hotmal.com': 'hotmail.com',
+    'hotmai.com': 'hotmail.com',
+    'hotmail.co': 'hotmail.com',
+    'outlok.com': 'outlook.com',
+    'outloo.com': 'outlook.com',
+    'iclod.com': 'icloud.com',
+    'icoud.com': 'icloud.com'
+};
+
+// Top-level domains that don't exist but are one slip away from one that does
+const TLD_TYPOS = { con: 'com', cmo: 'com', ocm: 'com', comm: 'com', coom: 'com', vm: 'vn', nv: 'vn' };
+
+// Shared mailboxes: rarely read by the person a campaign is meant for
+const ROLE_ACCOUNTS = [
+    'admin', 'administrator', 'info', 'contact', 'lienhe', 'support', 'hotro',
+    'sales', 'kinhdoanh', 'marketing', 'office', 'billing', 'accounting', 'ketoan',
+    'hr', 'nhansu', 'jobs', 'careers', 'tuyendung', 'help', 'webmaster', 'hostmaster',
+    'abuse', 'security', 'team', 'enquiries', 'inquiries'
+];
+
+// Nobody reads these at all
+const UNATTENDED_ACCOUNTS = ['noreply', 'no-reply', 'donotreply', 'do-not-reply', 'mailer-daemon', 'postmaster', 'bounce', 'bounces'];
+
+const SEVERITY = { valid: 0, risky: 1, invalid: 2 };
+
+// Recipient address quality checks. Every address gets a verdict:
+//   invalid - can't be delivered or nobody reads it: bad RFC 5322 syntax,
+//             non-existent TLD, no-reply mailbox, disposable domain
+//   risky   - likely typo of a popular domain, role account (info@...),
+//             address already used by an earlier row
+//   valid   - none of the above
+// with the reasons and, for typos, the suggested correction.
+class AddressValidator {
+    constructor(options = {}) {
+        this.disposableDomains = new Set((options.disposableDomains || DISPOSABLE_DOMAINS).map(domain => domain.toLowerCase()));
+    }
+
+    // Syntax only - what isValidEmail() used to approximate with x@y.z
+    static isValidSyntax(email) {
+        return AddressValidator.parse(email) !== null;
+    }
+
+    // { local, domain } of a syntactically valid addr-spec, or null. IDN
+    // domains are converted to their ASCII (punycode) form.
+    static parse(email) {
+        if (!email || typeof email !== 'string') {
+            return null;
+        }
+
+        const address = email.trim();
+        const at = address.lastIndexOf('@');
+        if (at <= 0 || at === address.length - 1 || address.length > 254) {
+            return null;
+        }
+
+        const local = address.slice(0, at);
+        const rawDomain = address.slice(at + 1);
+
+        const localValid = local.length <= 64 && (
+            QUOTED_LOCAL.test(local) ||
+            local.split('.').every(atom => ATEXT.test(atom))
+        );
+        if (!localValid) {
+            return null;
+        }
+
+        const literal = rawDomain.match(IPV4_LITERAL);
+        if (literal) {
+            return literal.slice(1).every(octet => parseInt(octet) <= 255)
+                ? { local, domain: rawDomain, literal: true }
+                : null;
+        }
+
+        const domain = url.domainToASCII(rawDomain.toLowerCase());
+        const labels = domain.split('.');
+        if (!domain || domain.length > 253 || labels.length < 2 ||
+            !labels.every(label => DOMAIN_LABEL.test(label)) || !TLD.test(labels[labels.length - 1])) {
+            return null;
+        }
+
+        return { local, domain, literal: false };
+    }
+
+    check(email) {
+        const result = { email, verdict: 'valid', reasons: [], suggestion: null };
+        const parsed = AddressValidator.parse(email);
+
+        if (!parsed) {
+            return this.flag(result, 'invalid', 'syntax', 'Not a valid email address (RFC 5322)');
+        }
+
+        if (parsed.literal) {
+            return this.flag(result, 'risky', 'ip-literal', 'Domain is an IP address');
+        }
+
+        const { local, domain } = parsed;
+        const mailbox = local.toLowerCase().replace(/^"|"$/g, '').split('+')[0];
+
+        const tld = domain.split('.').pop();
+        const suggestedDomain = KNOWN_TYPOS[domain] ||
+            (TLD_TYPOS[tld] ? domain.replace(/[^.]+$/, TLD_TYPOS[tld]) : null) ||
+            this.closestPopularDomain(domain);
+        if (suggestedDomain) {
+            result.suggestion = `${local}@${suggestedDomain}`;
+            if (TLD_TYPOS[tld]) {
+                this.flag(result, 'invalid', 'typo', `".${tld}" is not a real domain ending - did you mean ${result.suggestion}?`);
+            } else {
+                this.flag(result, 'risky', 'typo', `Possible typo - did you mean ${result.suggestion}?`);
+            }
+        }
+
+        if (UNATTENDED_ACCOUNTS.includes(mailbox)) {
+            this.flag(result, 'invalid', 'no-reply', `${mailbox}@ mailboxes are not read`);
+        } else if (ROLE_ACCOUNTS.includes(mailbox)) {
+            this.flag(result, 'risky', 'role', `Role account (${mailbox}@) rather than a person`);
+        }
+
+        const disposable = domain.split('.').some((label, index, labels) => this.disposableDomains.has(labels.slice(index).join('.')));
+        if (disposable) {
+            this.flag(result, 'invalid', 'disposable', `Disposable email domain (${domain})`);
+        }
+
+        return result;
+    }
+
+    flag(result, verdict, code, message) {
+        if (SEVERITY[verdict] > SEVERITY[result.verdict]) {
+            result.verdict = verdict;
+        }
+        result.reasons.push({ code, message });
+        return result;
+    }
+
+    // Popular domain within a small edit distance of `domain` (but not equal)
+    closestPopularDomain(domain) {
+        if (POPULAR_DOMAINS.includes(domain) || OTHER_PROVIDERS.includes(domain)) {
+            return null;
+        }
+
+        let best = null;
+        let bestDistance = Infinity;
+        POPULAR_DOMAINS.forEach(candidate => {
+            const distance = AddressValidator.editDistance(domain, candidate);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+
+        // One edit for short domains, two for longer ones
+        const allowed = best && best.length <= 9 ? 1 : 2;
+        return bestDistance <= allowed ? best : null;
+    }
+
+    // Damerau-Levenshtein (optimal string alignment) distance
+    static editDistance(a, b) {
+        const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) {
+            d[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return d[a.length][b.length];
+    }
+
+    // Check every address of every recipient and attach the result as
+    // `recipient.addressCheck`. Addresses already used by an earlier row are
+    // flagged as duplicates. `recipient.invalidEmails` (cells that looked
+    // like addresses but failed the syntax check) are included as invalid.
+    checkRecipients(recipients) {
+        const firstRow = {};
+
+        recipients.forEach(recipient => {
+            const emails = [...(recipient.allEmails || []), ...(recipient.invalidEmails || [])];
+            const addresses = emails.map(email => {
+                const result = this.check(email);
+                const key = email.trim().toLowerCase();
+
+                if (firstRow[key] !== undefined && firstRow[key] !== recipient.rowIndex) {
+                    this.flag(result, 'risky', 'duplicate', `Also in row ${firstRow[key]}`);
+                } else if (firstRow[key] === undefined) {
+                    firstRow[key] = recipient.rowIndex;
+                }
+                return result;
+            });
+
+            recipient.addressCheck = {
+                verdict: addresses.reduce((worst, address) => (SEVERITY[address.verdict] > SEVERITY[worst] ? address.verdict : worst), 'valid'),
+                addresses
+            };
+        });
+
+        return recipients;
+    }
+
+    // Counts plus the rows that need attention, for the dashboard
+    static summarize(recipients) {
+        const summary = { recipients: recipients.length, addresses: 0, valid: 0, risky: 0, invalid: 0 };
+        const flagged = [];
+
+        recipients.forEach(recipient => {
+            const check = recipient.addressCheck || { verdict: 'valid', addresses: [] };
+            check.addresses.forEach(address => {
+                summary.addresses++;
+                summary[address.verdict]++;
+            });
+
+            if (check.verdict !== 'valid') {
+                flagged.push({
+                    rowIndex: recipient.rowIndex,
+                    name: recipient.name,
+                    verdict: check.verdict,
+                    addresses: check.addresses.filter(address => address.verdict !== 'valid')
+                });
+            }
+        });
+
+        return { summary, recipients: flagged };
+    }
+}
+
+module.exports = AddressValidator;
@@ -0,0 +1,203 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { detectMimeType } = require('nodemailer/lib/mime-funcs/mime-types');
+const TemplateEngine = require('./templateEngine');
+
+const MB = 1024 * 1024;
+
+// Leading bytes of the file types people actually attach, so a renamed file
+// (a PNG saved as .pdf) is sent with the type it really has
+const SIGNATURES = [
+    { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] },
+    { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+    { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+    { type: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], at8: [0x57, 0x45, 0x42, 0x50] },
+    { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] } // also .docx, .xlsx, .pptx
+];
+
+// "cid:logo.png" in an HTML src or a Markdown image
+const CID_REFERENCE = /cid:([^"'\s()<>]+)/gi;
+
+// Files attached to a template's messages (Sheet2 column I, `attachments`
+// in JSON templates), read from ATTACHMENTS_DIR (default attachments/).
+// The cell lists paths relative to that directory, separated by ";" or new
+// lines, and may use merge fields to pick a file per recipient:
+//
+//   brochure.pdf; bao-gia/{{name}}.pdf
+//
+// Images the body refers to as cid:<file> (<img src="cid:logo.png"> or
+// ![logo](cid:logo.png)) are embedded inline from the same directory.
+// Each file may be at most ATTACHMENT_MAX_SIZE_MB (default 10) and one
+// message ATTACHMENTS_MAX_TOTAL_MB (default 18 - Gmail refuses 25 MB once
+// base64 encoded).
+class AttachmentResolver {
+    constructor(options = {}) {
+        this.dir = path.resolve(options.dir || process.env.ATTACHMENTS_DIR || path.join(__dirname, '..', 'attachments'));
+        this.maxFileSize = (options.maxFileSizeMb || parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB || '10')) * MB;
+        this.maxTotalSize = (options.maxTotalSizeMb || parseFloat(process.env.ATTACHMENTS_MAX_TOTAL_MB || '18')) * MB;
+        this.templateEngine = options.templateEngine || new TemplateEngine();
+    }
+
+    // File entries of a cell (or a JSON array)
+    static parseList(value) {
+        if (Array.isArray(value)) {
+            return value.map(entry => String(entry || '').trim()).filter(Boolean);
+        }
+        return String(value || '').split(/[;\r\n]+/).map(entry => entry.trim()).filter(Boolean);
+    }
+
+    // cid references of a body, without duplicates
+    static inlineReferences(body) {
+        const cids = new Set();
+        String(body || '').replace(CID_REFERENCE, (match, cid) => {
+            try {
+                cids.add(decodeURIComponent(cid));
+            } catch (error) {
+                cids.add(cid);
+            }
+            return match;
+        });
+        return [...cids];
+    }
+
+    // Whether the files of `template` depend on the recipient's fields
+    isPersonalized(template) {
+        const body = [template.html, template.content].filter(Boolean).join('\n');
+        return [...AttachmentResolver.parseList(template.attachments), ...AttachmentResolver.inlineReferences(body)]
+            .some(entry => entry.includes('{{'));
+    }
+
+    // { attachments, issues } of one message: nodemailer attachment objects
+    // ({ filename, path, contentType, size, cid }) and { severity, message }
+    // problems - any 'error' means the message must not be sent. `fields` are
+    // the recipient's merge fields; inline images are looked up in `body`,
+    // else in the template's own bodies.
+    resolve(template, fields = {}, body = null) {
+        const attachments = [];
+        const issues = [];
+        const error = message => issues.push({ severity: 'error', message });
+
+        AttachmentResolver.parseList(template.attachments).forEach(entry => {
+            const name = this.templateEngine.render(entry, fields).trim();
+            const file = this.file(name, error);
+            if (file) {
+                attachments.push(file);
+            }
+        });
+
+        const source = body !== null ? body : [template.html, template.content].filter(Boolean).join('\n');
+        AttachmentResolver.inlineReferences(source).forEach(cid => {
+            const file = this.file(cid, error);
+            if (!file) {
+                return;
+            }
+            if (!file.contentType.startsWith('image/')) {
+                error(`Inline image cid:${cid} is not an image (${file.contentType})`);
+                return;
+            }
+            attachments.push({ ...file, cid });
+        });
+
+        attachments.forEach(file => {
+            if (file.warning) {
+                issues.push({ severity: 'warning', message: file.warning });
+                delete file.warning;
+            }
+        });
+
+        const total = attachments.reduce((sum, file) => sum + file.size, 0);
+        if (total > this.maxTotalSize) {
+            error(`Attachments add up to ${AttachmentResolver.formatSize(total)}, more than the ${AttachmentResolver.formatSize(this.maxTotalSize)} allowed per message`);
+        }
+
+        return { attachments, issues };
+    }
+
+    // Attachment object of `name` (relative to the attachments directory),
+    // or null after reporting why it can't be used
+    file(name, error) {
+        if (!name || /\{\{|\}\}/.test(name)) {
+            error(`Attachment "${name}" has a merge field that could not be filled`);
+            return null;
+        }
+
+        const filePath = path.resolve(this.dir, name);
+        if (!filePath.startsWith(this.dir + path.sep)) {
+            error(`Attachment "${name}" is outside the attachments directory`);
+            return null;
+        }
+
+        let stat;
+        try {
+            stat = fs.statSync(filePath);
+        } catch (statError) {
+            error(`Attachment "${name}" not found in ${this.dir}`);
+            return null;
+        }
+        if (!stat.isFile()) {
+            error(`Attachment "${name}" is not a file`);
+            return null;
+        }
+        if (stat.size > this.maxFileSize) {
+            error(`Attachment "${name}" is ${AttachmentResolver.formatSize(stat.size)}, more than the ${AttachmentResolver.formatSize(this.maxFileSize)} allowed per file`);
+            return null;
+        }
+
+        const { contentType, warning } = this.contentType(filePath, name);
+        return {
+            filename: path.basename(filePath),
+            path: filePath,
+            contentType,
+            size: stat.size,
+            ...(warning ? { warning } : {})
+        };
+    }
+
+    // MIME type by content, falling back to the extension
+    contentType(filePath, name) {
+        const byExtension = path.extname(filePath) ? detectMimeType(filePath) : 'application/octet-stream';
+        const sniffed = AttachmentResolver.sniff(filePath);
+
+        if (!sniffed || sniffed === byExtension) {
+            return { contentType: byExtension };
+        }
+        // Office documents and other zip containers
+        if (sniffed === 'application/zip' && /zip|openxmlformats|opendocument|epub/.test(byExtension)) {
+            return { contentType: byExtension };
+        }
+        return {
+            contentType: sniffed,
+            warning: byExtension !== 'application/octet-stream'
+                ? `Attachment "${name}" looks like ${sniffed}, not ${byExtension} as its extension says - sent as ${sniffed}`
+                : undefined
+        };
+    }
+
+    static sniff(filePath) {
+        const head = Buffer.alloc(12);
+        let length = 0;
+        let fd;
+        try {
+            fd = fs.openSync(filePath, 'r');
+            length = fs.readSync(fd, head, 0, head.length, 0);
+        } catch (error) {
+            return null;
+        } finally {
+            if (fd !== undefined) {
+                fs.closeSync(fd);
+            }
+        }
+
+        const matches = (bytes, offset = 0) => length >= offset + bytes.length &&
+            bytes.every((byte, index) => head[offset + index] === byte);
+        const signature = SIGNATURES.find(candidate => matches(candidate.bytes) && (!candidate.at8 || matches(candidate.at8, 8)));
+        return signature ? signature.type : null;
+    }
+
+    static formatSize(bytes) {
+        return bytes >= MB ? `${(bytes / MB).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+    }
+}
+
+module.exports = AttachmentResolver;
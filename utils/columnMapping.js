@@ -0,0 +1,240 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Recipient fields read from Sheet1, each with the header names it is
+// recognised by. Headers are compared without case, accents or punctuation,
+// so "Trạng thái", "trang thai" and "TRẠNG THÁI:" are the same column.
+const DEFAULT_ALIASES = {
+    keyword: ['từ khóa', 'keyword', 'keywords'],
+    name: ['tên', 'name', 'họ tên', 'họ và tên', 'full name', 'tên công ty', 'tên doanh nghiệp', 'company name'],
+    address: ['địa chỉ', 'address'],
+    website: ['trang web', 'website', 'web', 'url'],
+    primaryEmail: ['email', 'e-mail', 'mail', 'email chính', 'primary email'],
+    status: ['trạng thái', 'status'],
+    additionalEmails: ['emails', 'email phụ', 'email khác', 'additional email', 'additional emails', 'other email', 'other emails']
+};
+
+// "Email 2", "E-mail 3", "Mail 4"... are extra addresses too
+const NUMBERED_EMAIL = /^(e ?mail|mail) ?\d+$/;
+
+// Layout before Sheet1 was read by header: A keyword, B name, C address,
+// D website, E email, F status, G+ extra emails
+const LEGACY_COLUMNS = { keyword: 0, name: 1, address: 2, website: 3, primaryEmail: 4, status: 5 };
+const LEGACY_FIRST_EXTRA = 6;
+
+// Maps Sheet1 columns to recipient fields by their header (row 1), so
+// columns can be moved or added freely. Aliases can be extended per field in
+// COLUMN_MAPPING_CONFIG (default config/columns.json, see
+// config/columns.example.json):
+//
+//   { "columns": { "name": ["Tên khách hàng"], "primaryEmail": "Email liên hệ" } }
+//
+// Every other column with a header becomes a custom merge field named after
+// it ("Ngành nghề" -> {{nganh_nghe}}, "Phone" -> {{phone}}).
+class ColumnMapping {
+    constructor(columns = {}) {
+        this.aliases = {};
+        Object.keys(DEFAULT_ALIASES).forEach(field => {
+            const configured = [].concat(columns[field] || []).map(String);
+            this.aliases[field] = [...configured, ...DEFAULT_ALIASES[field]].map(ColumnMapping.normalize);
+        });
+
+        this.unknownFields = Object.keys(columns).filter(field => !DEFAULT_ALIASES[field]);
+    }
+
+    static load(filePath = process.env.COLUMN_MAPPING_CONFIG || path.join(__dirname, '..', 'config', 'columns.json')) {
+        if (!fs.existsSync(filePath)) {
+            return new ColumnMapping();
+        }
+
+        let config;
+        try {
+            config = fs.readJsonSync(filePath);
+        } catch (error) {
+            throw new Error(`Invalid column mapping ${filePath}: ${error.message}`);
+        }
+
+        if (!config || typeof config.columns !== 'object' || Array.isArray(config.columns)) {
+            throw new Error(`Invalid column mapping ${filePath}: "columns" must be an object`);
+        }
+
+        return new ColumnMapping(config.columns);
+    }
+
+    static normalize(header) {
+        return String(header || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/gi, 'd')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    // Merge field name for a custom column header
+    static fieldName(header) {
+        return ColumnMapping.normalize(header).replace(/ /g, '_');
+    }
+
+    // 0 -> A, 25 -> Z, 26 -> AA
+    static columnLetter(index) {
+        let letter = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+        }
+        return letter;
+    }
+
+    // Where each field lives for a header row. `issues` are { severity, message }
+    // - an "error" means recipients can't be read at all.
+    resolve(headers = []) {
+        const layout = { columns: {}, additionalEmails: [], customFields: [], unlabeled: [], width: headers.length, legacy: false, issues: [] };
+        const claimed = new Set();
+
+        this.unknownFields.forEach(field => layout.issues.push({
+            severity: 'warning',
+            message: `Column mapping: unknown field "${field}" (known: ${Object.keys(DEFAULT_ALIASES).join(', ')})`
+        }));
+
+        const normalized = headers.map(ColumnMapping.normalize);
+
+        // First matching column wins, in alias order (configured names first)
+        Object.keys(this.aliases).filter(field => field !== 'additionalEmails').forEach(field => {
+            for (const alias of this.aliases[field]) {
+                const index = normalized.findIndex((header, i) => header === alias && !claimed.has(i));
+                if (index !== -1) {
+                    layout.columns[field] = index;
+                    claimed.add(index);
+                    return;
+                }
+            }
+        });
+
+        normalized.forEach((header, index) => {
+            if (claimed.has(index)) {
+                return;
+            }
+            if (this.aliases.additionalEmails.includes(header) || NUMBERED_EMAIL.test(header)) {
+                layout.additionalEmails.push(index);
+            } else if (header) {
+                layout.customFields.push({ index, header: String(headers[index]).trim(), field: ColumnMapping.fieldName(headers[index]) });
+            } else {
+                layout.unlabeled.push(index);
+            }
+        });
+
+        // Nothing recognised at all - an old sheet whose first row isn't a
+        // header we know, keep reading it by position
+        if (Object.keys(layout.columns).length === 0 && layout.additionalEmails.length === 0) {
+            return this.legacyLayout(headers.length, layout.issues);
+        }
+
+        if (layout.columns.primaryEmail === undefined && layout.additionalEmails.length === 0) {
+            layout.issues.push({
+                severity: 'error',
+                message: `Sheet1 has no email column (headers: ${headers.filter(Boolean).join(', ') || 'none'})`
+            });
+        }
+
+        if (layout.columns.status === undefined) {
+            layout.issues.push({
+                severity: 'warning',
+                message: 'Sheet1 has no status column - statuses are not written back (the send ledger still prevents duplicates)'
+            });
+        }
+
+        const seen = {};
+        layout.customFields.forEach(custom => {
+            if (seen[custom.field]) {
+                layout.issues.push({ severity: 'warning', message: `Sheet1 columns "${seen[custom.field]}" and "${custom.header}" both map to {{${custom.field}}} - the first one is used` });
+            } else {
+                seen[custom.field] = custom.header;
+            }
+        });
+
+        return layout;
+    }
+
+    legacyLayout(columnCount, issues = []) {
+        const additionalEmails = [];
+        for (let index = LEGACY_FIRST_EXTRA; index < columnCount; index++) {
+            additionalEmails.push(index);
+        }
+
+        issues.push({
+            severity: 'warning',
+            message: 'No known headers in Sheet1 row 1 - using the fixed layout (A keyword, B name, C address, D website, E email, F status, G+ emails)'
+        });
+
+        return {
+            columns: { ...LEGACY_COLUMNS },
+            additionalEmails,
+            customFields: [],
+            unlabeled: [],
+            width: Math.max(columnCount, LEGACY_FIRST_EXTRA),
+            legacy: true,
+            issues
+        };
+    }
+
+    // Recipient fields of one row. Columns without a header (including those
+    // past the last header - the API trims empty trailing cells) only count
+    // when they hold an email address, as extra addresses used to be unlabeled.
+    // Extra-address cells that contain "@" but fail `isValidEmail` are kept
+    // in `invalidEmails` for the address quality report.
+    readRow(layout, row, isValidEmail) {
+        const cell = index => (index !== undefined && row[index] !== undefined && row[index] !== null ? String(row[index]).trim() : '');
+
+        const trailing = [];
+        for (let index = layout.width; index < row.length; index++) {
+            trailing.push(index);
+        }
+
+        const extraIndexes = [...layout.additionalEmails, ...layout.unlabeled, ...trailing].sort((a, b) => a - b);
+        const additionalEmails = extraIndexes.map(cell).filter(email => email && isValidEmail(email));
+        // Anything in an email column that isn't an address is reported; in
+        // unlabeled columns only what looks like one
+        const invalidEmails = extraIndexes
+            .filter(index => cell(index) && !isValidEmail(cell(index)) &&
+                (layout.additionalEmails.includes(index) || cell(index).includes('@')))
+            .map(cell);
+
+        const fields = {};
+        layout.customFields.forEach(custom => {
+            if (fields[custom.field] === undefined) {
+                fields[custom.field] = cell(custom.index);
+            }
+        });
+
+        return {
+            keyword: cell(layout.columns.keyword),
+            name: cell(layout.columns.name),
+            address: cell(layout.columns.address),
+            website: cell(layout.columns.website),
+            primaryEmail: cell(layout.columns.primaryEmail),
+            status: cell(layout.columns.status) || 'new',
+            additionalEmails,
+            invalidEmails,
+            fields
+        };
+    }
+
+    // Summary for the API/validation: field -> column letter and header
+    describe(layout, headers = []) {
+        const column = index => ({ column: ColumnMapping.columnLetter(index), header: headers[index] || null });
+        const columns = {};
+        Object.entries(layout.columns).forEach(([field, index]) => {
+            columns[field] = column(index);
+        });
+
+        return {
+            legacy: layout.legacy,
+            columns,
+            additionalEmails: layout.additionalEmails.map(column),
+            customFields: layout.customFields.map(custom => ({ field: custom.field, ...column(custom.index) })),
+            issues: layout.issues
+        };
+    }
+}
+
+module.exports = ColumnMapping;
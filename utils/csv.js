@@ -0,0 +1,65 @@
+// Minimal RFC 4180 CSV/TSV reader and writer: quoted fields may contain the
+// delimiter, newlines and doubled quotes. Rows are arrays of strings.
+class Csv {
+    static parse(text, delimiter = ',') {
+        const source = String(text || '').replace(/^\uFEFF/, ''); // Excel adds a BOM
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // A line with nothing on it is an empty row, like an empty sheet row
+        return rows.map(cells => (cells.length === 1 && cells[0] === '' ? [] : cells));
+    }
+
+    static stringify(rows, delimiter = ',') {
+        const escape = value => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return rows.map(row => row.map(escape).join(delimiter)).join('\r\n') + '\r\n';
+    }
+
+    // Delimiter for a file name: tab for .tsv/.tab, comma otherwise
+    static delimiterFor(filePath) {
+        return /\.(tsv|tab)$/i.test(filePath || '') ? '\t' : ',';
+    }
+}
+
+module.exports = Csv;
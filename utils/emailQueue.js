@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+
+const JOB_STATES = ['pending', 'in-flight', 'sent', 'failed', 'deferred', 'cancelled'];
+
+// Durable send queue stored on local disk (data/queue.json).
+// Each recipient becomes a job that moves through:
+//   pending -> in-flight -> sent
+//                        -> deferred -> (retry) -> in-flight ...
+//                        -> failed (after QUEUE_MAX_ATTEMPTS)
+//                        -> cancelled (recipient unsubscribed before sending)
+class EmailQueue {
+    constructor(logger, store = null) {
+        this.logger = logger;
+        this.store = store || new JsonStore('queue.json', { jobs: [] });
+        this.jobs = [];
+        this.loaded = false;
+        this.maxAttempts = parseInt(process.env.QUEUE_MAX_ATTEMPTS || '3');
+        this.retryDelayMs = parseInt(process.env.QUEUE_RETRY_DELAY_MINUTES || '30') * 60 * 1000;
+    }
+
+    async initialize() {
+        if (this.loaded) {
+            return;
+        }
+
+        const data = await this.store.load();
+        this.jobs = Array.isArray(data.jobs) ? data.jobs : [];
+        this.loaded = true;
+
+        // Jobs left in-flight belong to a run that never finished (crash/restart).
+        // Put them back so they are picked up again on the next drain.
+        const stale = this.jobs.filter(job => job.state === 'in-flight');
+        if (stale.length > 0) {
+            stale.forEach(job => this.setState(job, 'pending'));
+            this.logger.warn(`Recovered ${stale.length} in-flight job(s) from previous run`);
+            await this.persist();
+        }
+    }
+
+    // Follow-up steps of a sequence are separate jobs for the same recipient
+    jobKey(recipient) {
+        const email = recipient.primaryEmail || (recipient.allEmails || [])[0] || '';
+        const step = recipient.step && recipient.step > 1 ? `:step${recipient.step}` : '';
+        return `${recipient.rowIndex || ''}:${email.trim().toLowerCase()}${step}`;
+    }
+
+    // Add recipients as pending jobs. Recipients that already have a job
+    // (in any state) are skipped so repeated refills never duplicate sends.
+    async enqueue(recipients) {
+        await this.initialize();
+
+        const existingKeys = new Set(this.jobs.map(job => job.key));
+        let added = 0;
+        let skipped = 0;
+
+        for (const recipient of recipients) {
+            const key = this.jobKey(recipient);
+            if (existingKeys.has(key)) {
+                skipped++;
+                continue;
+            }
+
+            const now = new Date().toISOString();
+            this.jobs.push({
+                id: crypto.randomUUID(),
+                key: key,
+                recipient: recipient,
+                state: 'pending',
+                attempts: 0,
+                createdAt: now,
+                updatedAt: now,
+                nextAttemptAt: null,
+                lastError: null,
+                messageId: null
+            });
+            existingKeys.add(key);
+            added++;
+        }
+
+        if (added > 0) {
+            await this.persist();
+            this.logger.info(`Queued ${added} new job(s), ${skipped} already queued`);
+        }
+
+        return { added, skipped };
+    }
+
+    // Move up to `limit` ready jobs (pending, or deferred and due) to in-flight
+    async claim(limit = 1) {
+        await this.initialize();
+
+        const claimed = this.getReadyJobs().slice(0, limit);
+        claimed.forEach(job => {
+            job.attempts++;
+            this.setState(job, 'in-flight');
+        });
+
+        if (claimed.length > 0) {
+            await this.persist();
+        }
+
+        return claimed;
+    }
+
+    async markSent(jobId, messageId = null) {
+        const job = this.findJob(jobId);
+        if (!job) {
+            return null;
+        }
+
+        job.messageId = messageId;
+        job.lastError = null;
+        job.nextAttemptAt = null;
+        this.setState(job, 'sent');
+        await this.persist();
+        return job.state;
+    }
+
+    // Failed jobs are deferred for a later run until they run out of attempts
+    async markFailed(jobId, error) {
+        const job = this.findJob(jobId);
+        if (!job) {
+            return null;
+        }
+
+        job.lastError = error || 'Unknown error';
+
+        if (job.attempts >= this.maxAttempts) {
+            job.nextAttemptAt = null;
+            this.setState(job, 'failed');
+        } else {
+            job.nextAttemptAt = new Date(Date.now() + this.retryDelayMs).toISOString();
+            this.setState(job, 'deferred');
+        }
+
+        await this.persist();
+        return job.state;
+    }
+
+    // Close a job for good without sending (no retries)
+    async cancel(jobId, reason) {
+        const job = this.findJob(jobId);
+        if (!job) {
+            return null;
+        }
+
+        job.lastError = reason || null;
+        job.nextAttemptAt = null;
+        this.setState(job, 'cancelled');
+        await this.persist();
+        return job.state;
+    }
+
+    // Hand claimed jobs back without counting the attempt (e.g. run aborted
+    // before anything was sent)
+    async release(jobIds) {
+        const ids = new Set(jobIds);
+        this.jobs
+            .filter(job => ids.has(job.id) && job.state === 'in-flight')
+            .forEach(job => {
+                job.attempts = Math.max(0, job.attempts - 1);
+                this.setState(job, 'pending');
+            });
+
+        await this.persist();
+    }
+
+    // Ready jobs, without claiming them (used by dry runs)
+    getReadyJobs() {
+        const now = Date.now();
+        return this.jobs.filter(job =>
+            job.state === 'pending' ||
+            (job.state === 'deferred' && (!job.nextAttemptAt || new Date(job.nextAttemptAt).getTime() <= now))
+        );
+    }
+
+    hasJobFor(recipient) {
+        const key = this.jobKey(recipient);
+        return this.jobs.some(job => job.key === key);
+    }
+
+    getCounts() {
+        const counts = {};
+        JOB_STATES.forEach(state => {
+            counts[state] = 0;
+        });
+
+        this.jobs.forEach(job => {
+            counts[job.state] = (counts[job.state] || 0) + 1;
+        });
+
+        return counts;
+    }
+
+    // Jobs that a drain could still pick up (now or after a deferral)
+    getRemainingCount() {
+        return this.jobs.filter(job => job.state === 'pending' || job.state === 'deferred').length;
+    }
+
+    findJob(jobId) {
+        return this.jobs.find(job => job.id === jobId) || null;
+    }
+
+    setState(job, state) {
+        job.state = state;
+        job.updatedAt = new Date().toISOString();
+    }
+
+    persist() {
+        return this.store.save({ jobs: this.jobs });
+    }
+}
+
+EmailQueue.JOB_STATES = JOB_STATES;
+
+module.exports = EmailQueue;
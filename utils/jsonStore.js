@@ -0,0 +1,72 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { isCapturing } = require('./mailTransport');
+
+// Small JSON file persistence helper used by the local state stores
+// (queue, ledger, ...). Writes go to a temp file and are renamed into place
+// so a crash mid-write never leaves a truncated file behind.
+//
+// A file that exists but can't be read is never replaced by the defaults:
+// starting over would drop the suppression list or the send history on the
+// next save. load() throws and save() refuses to write over it until the
+// file has been fixed (or removed) and loads again.
+class JsonStore {
+    constructor(fileName, defaults = {}) {
+        this.dataDir = JsonStore.dataDir();
+        this.filePath = path.isAbsolute(fileName) ? fileName : path.join(this.dataDir, fileName);
+        this.defaults = defaults;
+        this.writeChain = Promise.resolve();
+        this.unreadable = null; // Why the file could not be loaded
+    }
+
+    // DATA_DIR (default data/). Runs with a capturing transport
+    // (MAIL_TRANSPORT=outbox/file/memory) keep their queue, ledger... in
+    // its outbox-state/ folder, so they never mark anyone as sent for the
+    // real campaign.
+    static dataDir(env = process.env) {
+        const dataDir = env.DATA_DIR || path.join(__dirname, '..', 'data');
+        return isCapturing(env) ? path.join(dataDir, 'outbox-state') : dataDir;
+    }
+
+    async load() {
+        if (!(await fs.pathExists(this.filePath))) {
+            this.unreadable = null;
+            return JSON.parse(JSON.stringify(this.defaults));
+        }
+
+        let data;
+        try {
+            data = await fs.readJson(this.filePath);
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                throw new Error('not a JSON object');
+            }
+        } catch (error) {
+            this.unreadable = error.message.replace(`${this.filePath}: `, '');
+            throw new Error(`${this.filePath} could not be read (${this.unreadable}) - it was left untouched; fix or remove it`);
+        }
+
+        this.unreadable = null;
+        return { ...JSON.parse(JSON.stringify(this.defaults)), ...data };
+    }
+
+    save(data) {
+        if (this.unreadable) {
+            return Promise.reject(new Error(`Not saving over ${this.filePath}, which could not be read (${this.unreadable})`));
+        }
+
+        // Serialize writes so concurrent saves can't interleave
+        const snapshot = JSON.stringify(data, null, 2);
+        this.writeChain = this.writeChain
+            .catch(() => {})
+            .then(async () => {
+                const tempPath = `${this.filePath}.tmp`;
+                await fs.ensureDir(path.dirname(this.filePath));
+                await fs.writeFile(tempPath, snapshot, 'utf8');
+                await fs.move(tempPath, this.filePath, { overwrite: true });
+            });
+
+        return this.writeChain;
+    }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,62 @@
+const ColumnMapping = require('./columnMapping');
+
+// Columns of the send log (Sheet3 / results file), in the order they are
+// created. Each has the entry key it is filled from and the header names it
+// is recognised by in an existing log.
+const LOG_COLUMNS = [
+    { key: 'name', header: 'Name', aliases: ['tên', 'họ tên'] },
+    { key: 'email', header: 'Email', aliases: ['e-mail'] },
+    { key: 'status', header: 'Status', aliases: ['trạng thái'] },
+    { key: 'timestamp', header: 'Timestamp', aliases: ['thời gian', 'time', 'date'] },
+    { key: 'messageId', header: 'Message ID', aliases: ['mã thư'] },
+    { key: 'variant', header: 'Variant', aliases: ['template variant', 'mẫu'] },
+    { key: 'attempts', header: 'Attempts', aliases: ['số lần thử'] },
+    { key: 'error', header: 'Error', aliases: ['lỗi'] },
+    { key: 'sender', header: 'Sender', aliases: ['người gửi', 'from'] },
+    { key: 'account', header: 'Account', aliases: ['tài khoản', 'tài khoản gửi'] },
+    { key: 'campaign', header: 'Campaign', aliases: ['chiến dịch'] }
+];
+
+// Maps send-log entries ({ name, email, status, timestamp, messageId, ... })
+// onto the columns of an existing log. Columns are found by header, so a log
+// started with the old Name | Email | Status | Timestamp header (or with
+// columns moved or renamed in Vietnamese) keeps its rows where they are -
+// missing columns are added after the last existing one.
+class LogSchema {
+    static get headers() {
+        return LOG_COLUMNS.map(column => column.header);
+    }
+
+    // { headers, keys, changed } for the header row of an existing log:
+    // `headers` is the row to write back, `keys[i]` the entry key of column i
+    // (null for columns we don't fill), `changed` whether the header needs
+    // updating.
+    static resolve(existing = []) {
+        const normalized = existing.map(ColumnMapping.normalize);
+        const headers = existing.map(header => (header === undefined || header === null ? '' : String(header)));
+        const keys = existing.map(() => null);
+
+        LOG_COLUMNS.forEach(column => {
+            const names = [column.header, ...column.aliases].map(ColumnMapping.normalize);
+            const index = normalized.findIndex((header, i) => keys[i] === null && names.includes(header));
+
+            if (index !== -1) {
+                keys[index] = column.key;
+            } else {
+                headers.push(column.header);
+                keys.push(column.key);
+            }
+        });
+
+        return { headers, keys, changed: headers.length !== existing.length };
+    }
+
+    static row(entry, layout) {
+        return layout.keys.map(key => {
+            const value = key ? entry[key] : '';
+            return value === undefined || value === null ? '' : String(value);
+        });
+    }
+}
+
+module.exports = LogSchema;
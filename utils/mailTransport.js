@@ -0,0 +1,24 @@
+// MAIL_TRANSPORT values. "gmail" (Gmail SMTP) and "gmail-api" need the
+// Google authentication of GmailService and are set up there; the others
+// are configured from the environment alone.
+const TRANSPORT_TYPES = ['gmail', 'gmail-api', 'smtp', 'file', 'memory'];
+
+// "outbox" is the file transport under the name used for local QA runs
+const ALIASES = { outbox: 'file' };
+
+function transportType(env = process.env) {
+    const name = (env.MAIL_TRANSPORT || 'gmail').toLowerCase();
+    const type = ALIASES[name] || name;
+    if (!TRANSPORT_TYPES.includes(type)) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${type}" (use ${[...TRANSPORT_TYPES, ...Object.keys(ALIASES)].join(', ')})`);
+    }
+    return type;
+}
+
+// Whether MAIL_TRANSPORT only captures messages (outbox, file, memory):
+// such QA runs must leave the real campaign state alone
+function isCapturing(env = process.env) {
+    return ['file', 'memory'].includes(transportType(env));
+}
+
+module.exports = { transportType, isCapturing };
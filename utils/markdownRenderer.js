@@ -0,0 +1,105 @@
+const { Marked } = require('marked');
+
+// Markdown -> email-safe HTML. Email clients ignore <style> blocks, so every
+// element gets inline styles. Single newlines become <br> because copywriters
+// type bodies line by line in Sheets.
+const STYLES = {
+    wrapper: 'font-family:Arial,Helvetica,sans-serif;font-size:14px;line-height:1.6;color:#222222;',
+    p: 'margin:0 0 12px 0;',
+    h1: 'margin:0 0 12px 0;font-size:22px;line-height:1.3;font-weight:bold;',
+    h2: 'margin:0 0 12px 0;font-size:18px;line-height:1.3;font-weight:bold;',
+    h3: 'margin:0 0 10px 0;font-size:16px;line-height:1.3;font-weight:bold;',
+    h4: 'margin:0 0 10px 0;font-size:14px;line-height:1.3;font-weight:bold;',
+    a: 'color:#1a73e8;text-decoration:underline;',
+    ul: 'margin:0 0 12px 0;padding-left:24px;',
+    ol: 'margin:0 0 12px 0;padding-left:24px;',
+    li: 'margin:0 0 4px 0;',
+    blockquote: 'margin:0 0 12px 0;padding:8px 12px;border-left:4px solid #dadce0;color:#555555;',
+    img: 'max-width:100%;height:auto;border:0;display:block;',
+    hr: 'border:0;border-top:1px solid #dadce0;margin:16px 0;',
+    code: 'font-family:Consolas,Monaco,monospace;font-size:13px;background:#f1f3f4;padding:1px 4px;border-radius:3px;',
+    pre: 'font-family:Consolas,Monaco,monospace;font-size:13px;background:#f1f3f4;padding:12px;border-radius:4px;white-space:pre-wrap;margin:0 0 12px 0;'
+};
+
+const SAFE_URL = /^(https?:|mailto:|tel:|cid:)/i;
+
+function escapeAttribute(value) {
+    return String(value || '')
+        .replace(/&(?!(#\d+|#x[0-9a-f]+|[a-z]+);)/gi, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function safeUrl(href) {
+    const url = (href || '').trim();
+    return SAFE_URL.test(url) ? url : null;
+}
+
+class MarkdownRenderer {
+    constructor() {
+        this.marked = new Marked({
+            gfm: true,
+            breaks: true,
+            renderer: {
+                paragraph({ tokens }) {
+                    return `<p style="${STYLES.p}">${this.parser.parseInline(tokens)}</p>\n`;
+                },
+                heading({ tokens, depth }) {
+                    const level = Math.min(depth, 4);
+                    return `<h${level} style="${STYLES['h' + level]}">${this.parser.parseInline(tokens)}</h${level}>\n`;
+                },
+                link({ href, title, tokens }) {
+                    const text = this.parser.parseInline(tokens);
+                    const url = safeUrl(href);
+                    if (!url) {
+                        return text;
+                    }
+                    const titleAttribute = title ? ` title="${escapeAttribute(title)}"` : '';
+                    return `<a href="${escapeAttribute(url)}"${titleAttribute} style="${STYLES.a}" target="_blank">${text}</a>`;
+                },
+                image({ href, title, text }) {
+                    const url = safeUrl(href);
+                    if (!url) {
+                        return escapeAttribute(text);
+                    }
+                    const titleAttribute = title ? ` title="${escapeAttribute(title)}"` : '';
+                    return `<img src="${escapeAttribute(url)}" alt="${escapeAttribute(text)}"${titleAttribute} style="${STYLES.img}">`;
+                },
+                list(token) {
+                    const tag = token.ordered ? 'ol' : 'ul';
+                    const start = token.ordered && token.start !== 1 && token.start !== '' ? ` start="${token.start}"` : '';
+                    const body = token.items.map(item => this.listitem(item)).join('');
+                    return `<${tag}${start} style="${STYLES[tag]}">\n${body}</${tag}>\n`;
+                },
+                listitem(item) {
+                    let content = this.parser.parse(item.tokens, !!item.loose);
+                    // Tight list items shouldn't carry paragraph margins
+                    if (!item.loose) {
+                        content = content.replace(/\n$/, '');
+                    }
+                    return `<li style="${STYLES.li}">${content}</li>\n`;
+                },
+                blockquote({ tokens }) {
+                    return `<blockquote style="${STYLES.blockquote}">${this.parser.parse(tokens)}</blockquote>\n`;
+                },
+                hr() {
+                    return `<hr style="${STYLES.hr}">\n`;
+                },
+                codespan({ text }) {
+                    return `<code style="${STYLES.code}">${escapeAttribute(text)}</code>`;
+                },
+                code({ text }) {
+                    return `<pre style="${STYLES.pre}">${escapeAttribute(text)}</pre>\n`;
+                }
+            }
+        });
+    }
+
+    toHtml(markdown) {
+        const body = this.marked.parse(markdown || '');
+        return `<div style="${STYLES.wrapper}">${body.trim()}</div>`;
+    }
+}
+
+module.exports = MarkdownRenderer;
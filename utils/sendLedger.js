@@ -0,0 +1,138 @@
+const JsonStore = require('./jsonStore');
+
+// Local record of every address we have successfully emailed
+// (data/sent-ledger.json). Checked before each send so a recipient never
+// gets the same sequence step twice, even when Sheet1 is read-only and its
+// status column can't be updated. Each entry keeps the latest step sent and
+// the Message-ID of every step, so follow-ups can be threaded.
+class SendLedger {
+    constructor(logger, store = null) {
+        this.logger = logger;
+        this.store = store || new JsonStore('sent-ledger.json', { addresses: {} });
+        this.addresses = {};
+        this.loaded = false;
+    }
+
+    async initialize() {
+        if (this.loaded) {
+            return;
+        }
+
+        const data = await this.store.load();
+        this.addresses = data.addresses || {};
+        this.loaded = true;
+    }
+
+    normalize(email) {
+        return (email || '').trim().toLowerCase();
+    }
+
+    has(email) {
+        return Object.prototype.hasOwnProperty.call(this.addresses, this.normalize(email));
+    }
+
+    get(email) {
+        return this.addresses[this.normalize(email)] || null;
+    }
+
+    // Split a recipient's addresses into those still to get sequence `step`
+    // and those that already had it
+    partition(emails, step = 1) {
+        const unsent = [];
+        const alreadySent = [];
+
+        (emails || []).forEach(email => {
+            const entry = this.get(email);
+            (entry && (entry.step || 1) >= step ? alreadySent : unsent).push(email);
+        });
+
+        return { unsent, alreadySent };
+    }
+
+    async record(emails, info = {}) {
+        await this.initialize();
+
+        const sentAt = new Date().toISOString();
+        const step = info.step || 1;
+        (Array.isArray(emails) ? emails : [emails]).forEach(email => {
+            const key = this.normalize(email);
+            if (!key) {
+                return;
+            }
+
+            const previous = this.addresses[key];
+            const steps = previous
+                ? previous.steps || [{ step: previous.step || 1, sentAt: previous.sentAt, messageId: previous.messageId || null }]
+                : [];
+
+            this.addresses[key] = {
+                ...previous,
+                sentAt,
+                ...info,
+                step,
+                steps: [...steps, {
+                    step,
+                    sentAt,
+                    messageId: info.messageId || null,
+                    variant: info.variant || null,
+                    threadId: info.threadId || null,
+                    account: info.account || null
+                }]
+            };
+        });
+
+        await this.store.save({ addresses: this.addresses });
+    }
+
+    // Attach a delivery failure to an address we sent to
+    async markBounced(email, bounce) {
+        await this.initialize();
+
+        const entry = this.get(email);
+        if (!entry) {
+            return false;
+        }
+
+        entry.bounce = bounce;
+        await this.store.save({ addresses: this.addresses });
+        return true;
+    }
+
+    async markReplied(email, reply) {
+        await this.initialize();
+
+        const entry = this.get(email);
+        if (!entry) {
+            return false;
+        }
+
+        entry.reply = reply;
+        await this.store.save({ addresses: this.addresses });
+        return true;
+    }
+
+    // Message-IDs and subject of what we sent an address, for threading
+    // follow-ups, plus the Gmail thread id (and the account whose mailbox it
+    // belongs to) when it was sent through the Gmail API
+    getThread(email) {
+        const entry = this.get(email);
+        if (!entry) {
+            return null;
+        }
+
+        const steps = entry.steps || [{ messageId: entry.messageId }];
+        const threaded = steps.filter(step => step.threadId).pop();
+        return {
+            subject: entry.subject || null,
+            messageIds: steps.map(step => step.messageId).filter(Boolean),
+            threadId: threaded ? threaded.threadId : null,
+            account: threaded ? threaded.account : null
+        };
+    }
+
+    size() {
+        return Object.keys(this.addresses).length;
+    }
+}
+
+module.exports = SendLedger;
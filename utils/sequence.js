@@ -0,0 +1,105 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Follow-up sequence (drip campaign), defined in SEQUENCE_CONFIG
+// (default config/sequence.json, see config/sequence.example.json):
+//
+//   { "steps": [
+//       { "templates": ["Giới thiệu A", "Giới thiệu B"] },
+//       { "delayDays": 3, "templates": ["Nhắc lại lần 1"] }
+//   ] }
+//
+// Step N+1 goes out `delayDays` after step N, in the same thread, unless
+// the address replied, unsubscribed or hard-bounced (those are suppressed).
+// `templates` are Sheet2 titles (column A); a step without them uses every
+// Sheet2 row no other step claims. Without a config file there is a single
+// step using all of Sheet2 - i.e. one email per recipient.
+class Sequence {
+    constructor(steps = [{}]) {
+        this.steps = steps.map((step, index) => ({
+            step: index + 1,
+            delayDays: index === 0 ? 0 : Number(step.delayDays) || 0,
+            templates: Array.isArray(step.templates) ? step.templates.map(title => String(title).trim()).filter(Boolean) : []
+        }));
+    }
+
+    static load(filePath = process.env.SEQUENCE_CONFIG || path.join(__dirname, '..', 'config', 'sequence.json')) {
+        if (!fs.existsSync(filePath)) {
+            return new Sequence();
+        }
+
+        let config;
+        try {
+            config = fs.readJsonSync(filePath);
+        } catch (error) {
+            throw new Error(`Invalid sequence config ${filePath}: ${error.message}`);
+        }
+
+        if (!config || !Array.isArray(config.steps) || config.steps.length === 0) {
+            throw new Error(`Invalid sequence config ${filePath}: "steps" must be a non-empty array`);
+        }
+
+        return new Sequence(config.steps);
+    }
+
+    get length() {
+        return this.steps.length;
+    }
+
+    getStep(number) {
+        return this.steps[number - 1] || null;
+    }
+
+    // Sheet2 variants that belong to a step
+    templatesFor(number, templates) {
+        const step = this.getStep(number);
+        if (!step) {
+            return [];
+        }
+
+        const normalize = title => (title || '').trim().toLowerCase();
+        if (step.templates.length > 0) {
+            const titles = step.templates.map(normalize);
+            return templates.filter(template => titles.includes(normalize(template.title)));
+        }
+
+        const claimed = new Set();
+        this.steps.forEach(other => other.templates.forEach(title => claimed.add(normalize(title))));
+        return templates.filter(template => !claimed.has(normalize(template.title)));
+    }
+
+    // Step due next for a send-ledger entry, or null when the sequence is
+    // finished or the delay hasn't passed yet
+    nextStepFor(entry, now = Date.now()) {
+        const current = entry.step || 1;
+        const next = this.getStep(current + 1);
+        if (!next) {
+            return null;
+        }
+
+        const dueAt = new Date(entry.sentAt).getTime() + next.delayDays * DAY_MS;
+        return dueAt <= now ? next.step : null;
+    }
+
+    // Problems with the config against the current Sheet2 rows
+    validate(templates) {
+        const issues = [];
+        const known = templates.map(template => (template.title || '').trim().toLowerCase());
+
+        this.steps.forEach(step => {
+            step.templates
+                .filter(title => !known.includes(title.toLowerCase()))
+                .forEach(title => issues.push(`Sequence step ${step.step}: no Sheet2 template titled "${title}"`));
+
+            if (this.templatesFor(step.step, templates).length === 0) {
+                issues.push(`Sequence step ${step.step} has no templates`);
+            }
+        });
+
+        return issues;
+    }
+}
+
+module.exports = Sequence;
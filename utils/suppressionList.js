@@ -0,0 +1,67 @@
+const JsonStore = require('./jsonStore');
+
+// Addresses that must never be emailed again (data/suppression.json):
+// unsubscribes, hard bounces and people who replied. Each entry keeps its
+// `source`. Unlike the send ledger this is never cleared by re-running a
+// campaign.
+class SuppressionList {
+    constructor(logger, store = null) {
+        this.logger = logger;
+        this.store = store || new JsonStore('suppression.json', { addresses: {} });
+        this.addresses = {};
+        this.loaded = false;
+    }
+
+    async initialize() {
+        if (this.loaded) {
+            return;
+        }
+
+        const data = await this.store.load();
+        this.addresses = data.addresses || {};
+        this.loaded = true;
+    }
+
+    normalize(email) {
+        return (email || '').trim().toLowerCase();
+    }
+
+    has(email) {
+        return Object.prototype.hasOwnProperty.call(this.addresses, this.normalize(email));
+    }
+
+    get(email) {
+        return this.addresses[this.normalize(email)] || null;
+    }
+
+    // Addresses from `emails` that may still be contacted
+    filter(emails) {
+        return (emails || []).filter(email => !this.has(email));
+    }
+
+    // Returns the addresses that weren't suppressed yet
+    async add(emails, info = {}) {
+        await this.initialize();
+
+        const suppressedAt = new Date().toISOString();
+        const added = [];
+        (Array.isArray(emails) ? emails : [emails]).forEach(email => {
+            const key = this.normalize(email);
+            if (key && !this.has(key)) {
+                this.addresses[key] = { suppressedAt, ...info };
+                added.push(email);
+            }
+        });
+
+        if (added.length > 0) {
+            await this.store.save({ addresses: this.addresses });
+        }
+        return added;
+    }
+
+    size() {
+        return Object.keys(this.addresses).length;
+    }
+}
+
+module.exports = SuppressionList;
@@ -0,0 +1,268 @@
+// Template engine shared by the email preview and the real send, so both
+// render exactly the same output.
+//
+// Syntax:
+//   {{name}}                      value (HTML-escaped when rendering HTML)
+//   {{{name}}}                    raw value, never escaped
+//   {{name|default:"Anh/Chị"}}    fallback when the value is empty
+//   {{name|upper}} |lower |title |truncate:20   filters, can be chained
+//   {{#if website}}...{{else}}...{{/if}}         conditional blocks (nestable)
+//   {{#unless website}}...{{/unless}}
+//
+// Placeholders that don't map to any field are left in the output untouched
+// (unless they have a default) so they can be caught by validation.
+
+// Fields only known at send time (filled in by GmailService.buildMessage)
+const GENERATED_FIELDS = ['unsubscribe_url'];
+
+const TOKEN_REGEX = /\{\{\{\s*([^{}]*?)\s*\}\}\}|\{\{\s*([^{}]*?)\s*\}\}/g;
+
+const FILTERS = {
+    upper: value => value.toLocaleUpperCase('vi'),
+    lower: value => value.toLocaleLowerCase('vi'),
+    title: value => value
+        .toLocaleLowerCase('vi')
+        .replace(/(^|\s)(\S)/g, (match, space, char) => space + char.toLocaleUpperCase('vi')),
+    truncate: (value, arg) => {
+        const length = parseInt(arg);
+        if (isNaN(length) || value.length <= length) {
+            return value;
+        }
+        return value.slice(0, length).trimEnd() + '…';
+    },
+    trim: value => value.trim()
+};
+
+class TemplateEngine {
+    constructor() {
+        this.filters = FILTERS;
+    }
+
+    // Merge fields available to templates for a recipient: the standard ones
+    // plus any custom Sheet1 columns (`recipient.fields`). `overrides`
+    // replaces individual fields, e.g. { email } for the address being sent to.
+    buildFields(recipient = {}, overrides = {}) {
+        return {
+            ...recipient,
+            ...(recipient.fields || {}),
+            name: recipient.name || '',
+            keyword: recipient.keyword || '',
+            address: recipient.address || '',
+            website: recipient.website || '',
+            email: recipient.primaryEmail || '',
+            company: recipient.name || '',
+            unsubscribe_url: '',
+            ...overrides
+        };
+    }
+
+    // Parse a template into a node tree. Never throws - problems are
+    // collected in `errors` and the template is rendered best-effort.
+    parse(template) {
+        const source = template || '';
+        const root = { type: 'root', children: [] };
+        const stack = [root];
+        const errors = [];
+        let lastIndex = 0;
+        let match;
+
+        const current = () => {
+            const node = stack[stack.length - 1];
+            return node.inElse ? node.elseChildren : node.children;
+        };
+
+        TOKEN_REGEX.lastIndex = 0;
+        while ((match = TOKEN_REGEX.exec(source)) !== null) {
+            if (match.index > lastIndex) {
+                current().push({ type: 'text', value: source.slice(lastIndex, match.index) });
+            }
+            lastIndex = TOKEN_REGEX.lastIndex;
+
+            const raw = match[1] !== undefined;
+            const body = (raw ? match[1] : match[2]).trim();
+            const blockMatch = body.match(/^#(if|unless)\s+(.+)$/);
+
+            if (blockMatch) {
+                const block = {
+                    type: 'if',
+                    negate: blockMatch[1] === 'unless',
+                    keyword: blockMatch[1],
+                    field: blockMatch[2].trim(),
+                    children: [],
+                    elseChildren: [],
+                    inElse: false,
+                    source: match[0]
+                };
+                current().push(block);
+                stack.push(block);
+            } else if (body === 'else') {
+                const block = stack[stack.length - 1];
+                if (block.type === 'if' && !block.inElse) {
+                    block.inElse = true;
+                } else {
+                    errors.push({ type: 'unexpected-else', message: 'Unexpected {{else}}', token: match[0] });
+                    current().push({ type: 'text', value: match[0] });
+                }
+            } else if (/^\/(if|unless)$/.test(body)) {
+                const block = stack[stack.length - 1];
+                if (block.type === 'if' && `/${block.keyword}` === body) {
+                    stack.pop();
+                } else {
+                    errors.push({ type: 'unexpected-close', message: `Unexpected {{${body}}}`, token: match[0] });
+                    current().push({ type: 'text', value: match[0] });
+                }
+            } else {
+                const expression = this.parseExpression(body);
+                expression.filters
+                    .filter(filter => filter.name !== 'default' && !this.filters[filter.name])
+                    .forEach(filter => errors.push({
+                        type: 'unknown-filter',
+                        message: `Unknown filter "${filter.name}"`,
+                        token: match[0]
+                    }));
+
+                current().push({ type: 'var', raw, source: match[0], ...expression });
+            }
+        }
+
+        if (lastIndex < source.length) {
+            current().push({ type: 'text', value: source.slice(lastIndex) });
+        }
+
+        // Blocks still open at the end are closed implicitly
+        while (stack.length > 1) {
+            const block = stack.pop();
+            errors.push({
+                type: 'unclosed-block',
+                message: `Unclosed {{#${block.keyword} ${block.field}}}`,
+                token: block.source
+            });
+        }
+
+        return { nodes: root.children, errors };
+    }
+
+    // "name|default:"x"|upper" -> { field, filters: [{ name, arg }] }
+    parseExpression(body) {
+        const parts = [];
+        let currentPart = '';
+        let quote = null;
+
+        for (const char of body) {
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                }
+                currentPart += char;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+                currentPart += char;
+            } else if (char === '|') {
+                parts.push(currentPart.trim());
+                currentPart = '';
+            } else {
+                currentPart += char;
+            }
+        }
+        parts.push(currentPart.trim());
+
+        const filters = parts.slice(1).map(part => {
+            const separator = part.indexOf(':');
+            if (separator === -1) {
+                return { name: part.toLowerCase(), arg: null };
+            }
+
+            let arg = part.slice(separator + 1).trim();
+            if (/^(["']).*\1$/.test(arg)) {
+                arg = arg.slice(1, -1);
+            }
+            return { name: part.slice(0, separator).trim().toLowerCase(), arg };
+        });
+
+        return { field: parts[0], filters };
+    }
+
+    // Find a field by exact name, falling back to a case-insensitive match
+    lookup(fields, name) {
+        if (Object.prototype.hasOwnProperty.call(fields, name)) {
+            return { found: true, value: fields[name] };
+        }
+
+        const lower = name.toLowerCase();
+        const key = Object.keys(fields).find(k => k.toLowerCase() === lower);
+        return key !== undefined ? { found: true, value: fields[key] } : { found: false, value: undefined };
+    }
+
+    stringify(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (Array.isArray(value)) {
+            return value.filter(Boolean).join(', ');
+        }
+        return String(value);
+    }
+
+    isTruthy(value) {
+        return this.stringify(value).trim().length > 0;
+    }
+
+    escapeHtml(value) {
+        return value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Render a template string. options.escapeHtml escapes every {{value}}
+    // (use it for HTML bodies, not for subjects or plain text).
+    render(template, fields = {}, options = {}) {
+        const { nodes } = this.parse(template);
+        return this.renderNodes(nodes, fields, options);
+    }
+
+    renderNodes(nodes, fields, options) {
+        return nodes.map(node => {
+            if (node.type === 'text') {
+                return node.value;
+            }
+
+            if (node.type === 'if') {
+                const { value } = this.lookup(fields, node.field);
+                const condition = node.negate ? !this.isTruthy(value) : this.isTruthy(value);
+                return this.renderNodes(condition ? node.children : node.elseChildren, fields, options);
+            }
+
+            return this.renderVariable(node, fields, options);
+        }).join('');
+    }
+
+    renderVariable(node, fields, options) {
+        const { found, value } = this.lookup(fields, node.field);
+        const hasDefault = node.filters.some(filter => filter.name === 'default');
+
+        // Unknown placeholder without a fallback - leave it visible
+        if (!found && !hasDefault) {
+            return node.source;
+        }
+
+        let output = this.stringify(value);
+        for (const filter of node.filters) {
+            if (filter.name === 'default') {
+                if (!output.trim()) {
+                    output = filter.arg || '';
+                }
+            } else if (this.filters[filter.name]) {
+                output = this.filters[filter.name](output, filter.arg);
+            }
+        }
+
+        return options.escapeHtml && !node.raw ? this.escapeHtml(output) : output;
+    }
+}
+
+TemplateEngine.GENERATED_FIELDS = GENERATED_FIELDS;
+
+module.exports = TemplateEngine;
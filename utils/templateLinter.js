@@ -0,0 +1,183 @@
+const TemplateEngine = require('./templateEngine');
+
+// Pre-send checks for Sheet2 template variants:
+//   - template syntax (unclosed {{#if}}, stray {{/if}}, unknown filters)
+//   - unbalanced braces such as "{{name}" or "{name}}"
+//   - placeholders that don't map to any recipient field
+//   - recipients whose rendered output still contains {{...}}
+//   - recipients with an empty value for a placeholder that has no default
+// Findings with severity "error" block sending (TEMPLATE_LINT_MODE=block).
+class TemplateLinter {
+    constructor(templateEngine = null) {
+        this.templateEngine = templateEngine || new TemplateEngine();
+        this.maxRecipientFindings = parseInt(process.env.TEMPLATE_LINT_MAX_FINDINGS || '50');
+    }
+
+    lint(templates, recipients = []) {
+        const findings = [];
+        const knownFields = this.collectKnownFields(recipients);
+
+        templates.forEach((template, index) => {
+            const variant = this.describeVariant(template, index);
+
+            ['subject', 'content', 'html'].forEach(part => {
+                this.lintSource(template[part] || '', knownFields)
+                    .forEach(finding => findings.push({ ...finding, variant, part }));
+            });
+        });
+
+        // Only render against recipients once the templates themselves are sound
+        if (!findings.some(finding => finding.severity === 'error')) {
+            findings.push(...this.lintRecipients(templates, recipients));
+        }
+
+        return {
+            valid: !findings.some(finding => finding.severity === 'error'),
+            errors: findings.filter(finding => finding.severity === 'error').length,
+            warnings: findings.filter(finding => finding.severity === 'warning').length,
+            findings
+        };
+    }
+
+    lintSource(source, knownFields) {
+        const findings = [];
+        const { nodes, errors } = this.templateEngine.parse(source);
+
+        errors.forEach(error => findings.push({
+            severity: 'error',
+            type: error.type,
+            message: error.message,
+            token: error.token
+        }));
+
+        // Whatever is left after removing well-formed tokens must not contain braces
+        const leftover = source.replace(/\{\{\{[^{}]*?\}\}\}|\{\{[^{}]*?\}\}/g, '');
+        const stray = leftover.match(/\{\{|\}\}/g);
+        if (stray) {
+            findings.push({
+                severity: 'error',
+                type: 'unbalanced-braces',
+                message: `Unbalanced braces: ${[...new Set(stray)].join(' ')}`,
+                token: stray[0]
+            });
+        }
+
+        this.collectReferences(nodes).forEach(reference => {
+            if (!knownFields.has(reference.field.toLowerCase()) && !reference.hasDefault) {
+                findings.push({
+                    severity: 'error',
+                    type: 'unknown-placeholder',
+                    message: `Placeholder "${reference.field}" does not match any recipient field`,
+                    token: reference.source
+                });
+            }
+        });
+
+        return findings;
+    }
+
+    lintRecipients(templates, recipients) {
+        const findings = [];
+
+        for (const recipient of recipients) {
+            const fields = this.templateEngine.buildFields(recipient);
+            const who = recipient.name || recipient.primaryEmail || `row ${recipient.rowIndex}`;
+
+            templates.forEach((template, index) => {
+                const variant = this.describeVariant(template, index);
+
+                ['subject', 'content', 'html'].forEach(part => {
+                    const source = template[part] || '';
+                    const rendered = this.templateEngine.render(source, fields);
+                    const leftover = rendered.match(/\{\{[^{}]*?\}\}/g);
+
+                    if (leftover) {
+                        findings.push({
+                            severity: 'error',
+                            type: 'unrendered-placeholder',
+                            message: `Rendered ${part} for ${who} still contains ${leftover.join(', ')}`,
+                            variant,
+                            part,
+                            rowIndex: recipient.rowIndex
+                        });
+                    }
+
+                    const { nodes } = this.templateEngine.parse(source);
+                    this.collectReferences(nodes)
+                        .filter(reference => !reference.hasDefault && !reference.conditional)
+                        .filter(reference => !TemplateEngine.GENERATED_FIELDS.includes(reference.field.toLowerCase()))
+                        .filter(reference => !this.templateEngine.isTruthy(this.templateEngine.lookup(fields, reference.field).value))
+                        .forEach(reference => findings.push({
+                            severity: 'warning',
+                            type: 'empty-field',
+                            message: `"${reference.field}" is empty for ${who}`,
+                            variant,
+                            part,
+                            rowIndex: recipient.rowIndex
+                        }));
+                });
+            });
+
+            if (findings.length >= this.maxRecipientFindings) {
+                findings.push({
+                    severity: 'warning',
+                    type: 'truncated',
+                    message: `Stopped after ${this.maxRecipientFindings} recipient findings`
+                });
+                break;
+            }
+        }
+
+        return findings;
+    }
+
+    // Variables referenced by a node tree. Variables inside an {{#if x}}
+    // block that tests the same field are marked conditional, since an empty
+    // value there is expected.
+    collectReferences(nodes, guards = new Set()) {
+        const references = [];
+
+        nodes.forEach(node => {
+            if (node.type === 'var') {
+                references.push({
+                    field: node.field,
+                    source: node.source,
+                    hasDefault: node.filters.some(filter => filter.name === 'default'),
+                    conditional: guards.has(node.field.toLowerCase())
+                });
+            } else if (node.type === 'if') {
+                references.push({ field: node.field, source: `{{#${node.keyword} ${node.field}}}`, hasDefault: true, conditional: true });
+
+                const innerGuards = new Set(guards);
+                innerGuards.add(node.field.toLowerCase());
+                references.push(...this.collectReferences(node.negate ? node.elseChildren : node.children, innerGuards));
+                references.push(...this.collectReferences(node.negate ? node.children : node.elseChildren, guards));
+            }
+        });
+
+        return references;
+    }
+
+    collectKnownFields(recipients) {
+        const known = new Set(Object.keys(this.templateEngine.buildFields({})).map(key => key.toLowerCase()));
+        recipients.forEach(recipient => {
+            Object.keys(this.templateEngine.buildFields(recipient)).forEach(key => known.add(key.toLowerCase()));
+        });
+        return known;
+    }
+
+    describeVariant(template, index) {
+        const position = template.selectedIndex !== undefined ? template.selectedIndex : index;
+        return `#${position + 1}${template.title ? ` "${template.title}"` : ''}`;
+    }
+
+    // Human readable one-liners for validateConfiguration()
+    summarize(result, limit = 10) {
+        return result.findings
+            .filter(finding => finding.severity === 'error')
+            .slice(0, limit)
+            .map(finding => `Template ${finding.variant || ''} ${finding.part || ''}: ${finding.message}`.replace(/\s+/g, ' ').trim());
+    }
+}
+
+module.exports = TemplateLinter;
@@ -0,0 +1,184 @@
+const JsonStore = require('./jsonStore');
+
+// Per-message engagement data (data/tracking.json), keyed by the tracking id
+// embedded in each outgoing message: opens from the pixel, clicks from the
+// /r/:token redirect.
+class TrackingStore {
+    constructor(logger, store = null) {
+        this.logger = logger;
+        this.store = store || new JsonStore('tracking.json', { messages: {} });
+        this.messages = {};
+        this.loaded = false;
+        this.maxEventsPerMessage = 50;
+    }
+
+    async initialize() {
+        if (this.loaded) {
+            return;
+        }
+
+        const data = await this.store.load();
+        this.messages = data.messages || {};
+        this.loaded = true;
+    }
+
+    // Remember a sent message so opens and clicks can be attributed to it
+    async registerMessage(trackingId, info) {
+        if (!trackingId) {
+            return;
+        }
+        await this.initialize();
+
+        const existing = this.messages[trackingId];
+        if (existing) {
+            // BCC messages reach several addresses under one tracking id
+            if (info.email && !existing.addresses.includes(info.email)) {
+                existing.addresses.push(info.email);
+            }
+        } else {
+            this.messages[trackingId] = {
+                addresses: info.email ? [info.email] : [],
+                rowIndex: info.rowIndex || null,
+                name: info.name || '',
+                subject: info.subject || '',
+                messageId: info.messageId || null,
+                campaign: info.campaign || 'default',
+                variant: info.variant || null,
+                sentAt: new Date().toISOString(),
+                opens: {
+                    count: 0,
+                    firstOpenAt: null,
+                    lastOpenAt: null,
+                    events: []
+                },
+                clicks: {
+                    count: 0,
+                    firstClickAt: null,
+                    lastClickAt: null,
+                    urls: {},
+                    events: []
+                }
+            };
+        }
+
+        await this.persist();
+    }
+
+    // Returns false for ids we never sent (stray or forged requests)
+    async recordOpen(trackingId, meta = {}) {
+        await this.initialize();
+
+        const message = this.messages[trackingId];
+        if (!message) {
+            return false;
+        }
+
+        const now = new Date().toISOString();
+        message.opens.count++;
+        message.opens.firstOpenAt = message.opens.firstOpenAt || now;
+        message.opens.lastOpenAt = now;
+        message.opens.events.push({
+            timestamp: now,
+            userAgent: meta.userAgent || null,
+            ip: meta.ip || null
+        });
+        if (message.opens.events.length > this.maxEventsPerMessage) {
+            message.opens.events.shift();
+        }
+
+        await this.persist();
+        return true;
+    }
+
+    async recordClick(trackingId, url, meta = {}) {
+        await this.initialize();
+
+        const message = this.messages[trackingId];
+        if (!message) {
+            return false;
+        }
+
+        // Messages tracked before click tracking existed have no clicks yet
+        message.clicks = message.clicks || { count: 0, firstClickAt: null, lastClickAt: null, urls: {}, events: [] };
+        message.clicks.urls = message.clicks.urls || TrackingStore.countUrls(message.clicks.events);
+
+        const now = new Date().toISOString();
+        message.clicks.count++;
+        message.clicks.urls[url] = (message.clicks.urls[url] || 0) + 1;
+        message.clicks.firstClickAt = message.clicks.firstClickAt || now;
+        message.clicks.lastClickAt = now;
+        message.clicks.events.push({
+            timestamp: now,
+            url: url,
+            userAgent: meta.userAgent || null,
+            ip: meta.ip || null
+        });
+        if (message.clicks.events.length > this.maxEventsPerMessage) {
+            message.clicks.events.shift();
+        }
+
+        await this.persist();
+        return true;
+    }
+
+    getMessage(trackingId) {
+        return this.messages[trackingId] || null;
+    }
+
+    getOpenStats() {
+        const messages = Object.values(this.messages);
+        const opened = messages.filter(message => message.opens.count > 0);
+
+        return {
+            tracked: messages.length,
+            opened: opened.length,
+            totalOpens: opened.reduce((sum, message) => sum + message.opens.count, 0),
+            openRate: messages.length > 0 ? Math.round((opened.length / messages.length) * 100) : 0
+        };
+    }
+
+    // Clicks per URL from an event log (messages tracked before the
+    // per-URL counters existed)
+    static countUrls(events) {
+        return (events || []).reduce((urls, event) => {
+            urls[event.url] = (urls[event.url] || 0) + 1;
+            return urls;
+        }, {});
+    }
+
+    // Click totals plus per-link counts grouped by campaign and template
+    // variant. Per-link numbers come from the per-URL counters, not the
+    // event log, which only keeps the last maxEventsPerMessage clicks.
+    getClickStats() {
+        const messages = Object.values(this.messages);
+        const clicked = messages.filter(message => message.clicks && message.clicks.count > 0);
+        const links = {};
+
+        clicked.forEach(message => {
+            const variant = message.variant ? message.variant.title || `#${message.variant.index + 1}` : 'unknown';
+            const urls = message.clicks.urls || TrackingStore.countUrls(message.clicks.events);
+
+            Object.entries(urls).forEach(([url, count]) => {
+                const key = `${message.campaign}\u0000${variant}\u0000${url}`;
+                if (!links[key]) {
+                    links[key] = { campaign: message.campaign, variant, url, clicks: 0, uniqueClicks: 0 };
+                }
+                links[key].clicks += count;
+                links[key].uniqueClicks++;
+            });
+        });
+
+        return {
+            clicked: clicked.length,
+            totalClicks: clicked.reduce((sum, message) => sum + message.clicks.count, 0),
+            clickRate: messages.length > 0 ? Math.round((clicked.length / messages.length) * 100) : 0,
+            links: Object.values(links).sort((a, b) => b.clicks - a.clicks)
+        };
+    }
+
+    persist() {
+        return this.store.save({ messages: this.messages });
+    }
+}
+
+module.exports = TrackingStore;
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Signs small payloads into URL-safe tokens ("<base64url json>.<hmac>") so
+// public routes like the click redirect can trust what's in the link.
+// The secret comes from TRACKING_SECRET; without it a random secret is
+// generated once and kept in DATA_DIR (never served), so unsubscribe links
+// survive restarts.
+class UrlSigner {
+    constructor(secret = null) {
+        this.secret = secret || process.env.TRACKING_SECRET || this.loadOrCreateSecret();
+    }
+
+    // Whoever holds the secret can point /r/<token> at any URL, so click
+    // tracking only runs with a secret set on purpose
+    static checkConfiguration(env = process.env) {
+        if (env.ENABLE_CLICK_TRACKING === 'true' && !env.TRACKING_SECRET) {
+            throw new Error('ENABLE_CLICK_TRACKING=true needs TRACKING_SECRET (a long random string, e.g. from `openssl rand -hex 32`)');
+        }
+    }
+
+    loadOrCreateSecret() {
+        const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+        const secretPath = path.join(dataDir, 'tracking-secret');
+
+        try {
+            if (fs.existsSync(secretPath)) {
+                return fs.readFileSync(secretPath, 'utf8').trim();
+            }
+
+            const secret = crypto.randomBytes(32).toString('hex');
+            fs.ensureDirSync(dataDir);
+            fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+            console.warn(`TRACKING_SECRET not set - generated one in ${secretPath}`);
+            return secret;
+        } catch (error) {
+            // Links will stop verifying after a restart, but sending still works
+            console.error('Failed to persist tracking secret, using an in-memory one:', error.message);
+            return crypto.randomBytes(32).toString('hex');
+        }
+    }
+
+    signature(data) {
+        return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+    }
+
+    sign(payload) {
+        const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        return `${data}.${this.signature(data)}`;
+    }
+
+    // Returns the payload, or null when the token is malformed or tampered with
+    verify(token) {
+        if (!token || typeof token !== 'string') {
+            return null;
+        }
+
+        const [data, signature] = token.split('.');
+        if (!data || !signature) {
+            return null;
+        }
+
+        const expected = Buffer.from(this.signature(data));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = UrlSigner;